@@ -7,6 +7,27 @@ class ActogramChart {
     // Enhanced color thresholds for activity levels
     static colorThresholds = [0, 20, 40, 60, 80, 100];
     static colors = ['#E3F2FD', '#90CAF9', '#42A5F5', '#1E88E5', '#1565C0'];
+    // Background for epochs scored as sleep without activity
+    static sleepColor = '#E8EAF6';
+    // Background for unscored epochs without activity spent mostly with the screen locked
+    static lockedColor = '#ECEFF1';
+    // Overlays for detected sleep episodes and naps
+    static sleepEpisodeColor = '#3949AB';
+    static napColor = '#26A69A';
+    // Sleep windows reported in the sleep diary
+    static diaryColor = '#F9A825';
+    // Timeline annotations: marker color and glyph per annotation type
+    static annotationColor = '#6A1B9A';
+    static annotationGlyphs = {
+        caffeine: '☕',
+        medication: '💊',
+        light: '☀',
+        travel: '✈',
+        other: '✎'
+    };
+    // Activity onset/offset markers and fitted onset line
+    static onsetColor = '#2E7D32';
+    static offsetColor = '#C62828';
 
     /**
      * Create a new ModernActogramChart instance
@@ -59,10 +80,19 @@ class ActogramChart {
      * @param {Array} data - Activity data array
      * @param {number} daysToShow - Number of days to display
      * @param {number} epochDuration - Duration of each epoch in minutes
-     * @param {string} viewType - 'linear', 'spiral', or 'heatmap'
+     * @param {string} viewType - 'linear', 'spiral', 'heatmap' or 'periodogram'
      * @param {string} plotType - 'single' or 'double' (for linear view)
+     * @param {Object} options - Additional render options
+     * @param {number|string} options.plottingPeriod - Row length in hours for the linear view, or 'auto' to use the estimated tau
+     * @param {number} options.dayStartHour - Local hour at which each day row starts (0 = midnight)
+     * @param {string} options.timeDisplay - 'current' to show times in today's zone, 'recorded' for local time at recording
+     * @param {Object} options.analysisSettings - Sleep analysis settings; when given, sleep episodes and naps are marked on the linear view
+     * @param {boolean} options.showPhaseTrajectory - Overlay activity onsets/offsets and the fitted onset line (needs analysisSettings)
+     * @param {Array} options.diaryEntries - Sleep diary entries to draw on the linear view
+     * @param {Array} options.annotations - Timeline annotations to mark on the linear and spiral views
+     * @param {Function} options.onAnnotationSelect - Called with an annotation when its marker is clicked
      */
-    render(data, daysToShow = 7, epochDuration = 15, viewType = 'linear', plotType = 'double') {
+    render(data, daysToShow = 7, epochDuration = 15, viewType = 'linear', plotType = 'double', options = {}) {
         console.log('Rendering chart with data:', data, 'daysToShow:', daysToShow, 'epochDuration:', epochDuration, 'viewType:', viewType);
 
         if (!this.config.svg) {
@@ -76,6 +106,29 @@ class ActogramChart {
             return;
         }
 
+        const dayStartHour = options.dayStartHour || 0;
+
+        // Optionally show each epoch at the wall-clock time it was recorded in,
+        // moving diary times and annotations with the epochs around them
+        if (data && options.timeDisplay === 'recorded') {
+            const toRecorded = TimeUtils.getRecordedTimeShift(data);
+            options = {
+                ...options,
+                annotations: (options.annotations || []).map(annotation => ({
+                    ...annotation,
+                    timestamp: toRecorded(annotation.timestamp)
+                })),
+                diaryEntries: (options.diaryEntries || []).map(entry => ({
+                    ...entry,
+                    bedtime: toRecorded(entry.bedtime),
+                    lightsOff: toRecorded(entry.lightsOff),
+                    wakeTime: toRecorded(entry.wakeTime),
+                    outOfBed: toRecorded(entry.outOfBed)
+                }))
+            };
+            data = TimeUtils.toRecordedLocalTime(data);
+        }
+
         // Show loading indicator
         this.showLoading(true);
 
@@ -97,15 +150,25 @@ class ActogramChart {
                 switch (viewType) {
                     case 'spiral':
                         console.log('Rendering spiral view');
-                        this.renderSpiral(data, daysToShow, epochDuration);
+                        this.renderSpiral(data, daysToShow, epochDuration, options.annotations, options.onAnnotationSelect);
                         break;
                     case 'heatmap':
                         console.log('Rendering heatmap view');
-                        this.renderHeatmap(data, daysToShow, epochDuration);
+                        this.renderHeatmap(data, daysToShow, epochDuration, dayStartHour);
+                        break;
+                    case 'periodogram':
+                        console.log('Rendering periodogram view');
+                        this.renderPeriodogram(data, epochDuration);
                         break;
                     default:
                         console.log('Rendering linear view with plotType:', plotType);
-                        this.renderLinear(data, daysToShow, epochDuration, plotType);
+                        this.renderLinear(data, daysToShow, epochDuration, plotType,
+                            this.resolvePlottingPeriod(data, epochDuration, options.plottingPeriod), dayStartHour, {
+                                zoneChanges: TimeUtils.findZoneChanges(data),
+                                annotations: options.annotations,
+                                onAnnotationSelect: options.onAnnotationSelect,
+                                ...this.getSleepOverlays(data, options)
+                            });
                 }
             } catch (error) {
                 console.error('Error rendering chart:', error);
@@ -126,21 +189,86 @@ class ActogramChart {
         overlay.style('display', show ? 'flex' : 'none');
     }
 
+    /**
+     * Resolve the plotting period for the linear view
+     * @param {Array} data - Activity data array
+     * @param {number} epochDuration - Duration of each epoch in minutes
+     * @param {number|string} plottingPeriod - Period in hours, or 'auto'
+     * @returns {number} Period in hours (24 when no usable value is available)
+     */
+    resolvePlottingPeriod(data, epochDuration, plottingPeriod) {
+        if (plottingPeriod === 'auto') {
+            const estimate = typeof PeriodogramUtils !== 'undefined'
+                ? PeriodogramUtils.estimatePeriod(data, { binMinutes: epochDuration })
+                : null;
+
+            if (estimate && estimate.significant) {
+                console.log('Using estimated tau as plotting period:', estimate.tau);
+                return estimate.tau;
+            }
+            return 24;
+        }
+
+        const period = parseFloat(plottingPeriod);
+        return period > 0 ? period : 24;
+    }
+
+    /**
+     * Detect sleep episodes, naps and the onset/offset trajectory to overlay on the linear view
+     * @param {Array} data - Activity data array (as displayed)
+     * @param {Object} options - Render options (analysisSettings, showPhaseTrajectory, diaryEntries shifted like data)
+     * @returns {Object} { sleepEpisodes, naps, phaseTrajectory, diaryWindows }
+     */
+    getSleepOverlays(data, options) {
+        const settings = options.analysisSettings;
+        if (typeof AnalysisUtils === 'undefined') {
+            return { sleepEpisodes: [], naps: [], phaseTrajectory: null, diaryWindows: [] };
+        }
+
+        const diaryWindows = (options.diaryEntries || [])
+            .map(entry => AnalysisUtils.getDiarySleepWindow(entry))
+            .filter(diaryWindow => diaryWindow !== null);
+
+        if (!settings) {
+            return { sleepEpisodes: [], naps: [], phaseTrajectory: null, diaryWindows };
+        }
+
+        const sleepEpisodes = AnalysisUtils.detectSleepEpisodes(data, settings);
+        return {
+            diaryWindows,
+            sleepEpisodes,
+            naps: AnalysisUtils.detectNaps(data, settings, sleepEpisodes),
+            phaseTrajectory: options.showPhaseTrajectory
+                ? AnalysisUtils.calculatePhaseTrajectory(data, settings, sleepEpisodes)
+                : null
+        };
+    }
+
     /**
      * Render linear actogram chart with enhanced features
      * @param {Array} data - Activity data array
      * @param {number} daysToShow - Number of days to display
      * @param {number} epochDuration - Duration of each epoch in minutes
      * @param {string} plotType - 'single' or 'double'
+     * @param {number} plottingPeriod - Row length in hours (24 = calendar days)
+     * @param {number} dayStartHour - Local hour at which each row starts
+     * @param {Object} overlays - Markers drawn over the activity cells
+     * @param {Array} overlays.zoneChanges - Time zone changes (from TimeUtils.findZoneChanges)
+     * @param {Array} overlays.sleepEpisodes - Sleep episodes (from AnalysisUtils.detectSleepEpisodes)
+     * @param {Array} overlays.naps - Naps (from AnalysisUtils.detectNaps)
+     * @param {Array} overlays.diaryWindows - Diary sleep windows (from AnalysisUtils.getDiarySleepWindow)
+     * @param {Array} overlays.annotations - Timeline annotations { id, timestamp, type, label, note }
+     * @param {Function} overlays.onAnnotationSelect - Called with an annotation when its marker is clicked
+     * @param {Object} overlays.phaseTrajectory - Onsets/offsets (from AnalysisUtils.calculatePhaseTrajectory), or null
      */
-    renderLinear(data, daysToShow, epochDuration, plotType = 'double') {
-        console.log('Starting renderLinear with data length:', data ? data.length : 0, 'plotType:', plotType);
+    renderLinear(data, daysToShow, epochDuration, plotType = 'double', plottingPeriod = 24, dayStartHour = 0, overlays = {}) {
+        console.log('Starting renderLinear with data length:', data ? data.length : 0, 'plotType:', plotType, 'plottingPeriod:', plottingPeriod);
 
         // Restore original width for linear view
         this.config.width = this.originalWidth;
 
         // Process data into grid format with optimized lookup
-        const gridData = this.processDataToGrid(data, daysToShow, epochDuration, plotType);
+        const gridData = this.processDataToGrid(data, daysToShow, epochDuration, plotType, plottingPeriod, dayStartHour);
         console.log('Processed gridData length:', gridData.length);
 
         if (gridData.length === 0) {
@@ -148,8 +276,10 @@ class ActogramChart {
             return;
         }
 
+        const isCalendarDay = plottingPeriod === 24;
+
         // Calculate dimensions
-        const hoursPerRow = plotType === 'double' ? 48 : 24; // Double plot shows 48 hours
+        const hoursPerRow = plotType === 'double' ? plottingPeriod * 2 : plottingPeriod; // Double plot shows two periods
         const epochsPerRow = (hoursPerRow * 60) / epochDuration;
         const cellWidth = this.config.width / epochsPerRow;
 
@@ -201,8 +331,12 @@ class ActogramChart {
             .domain([0, hoursPerRow])
             .range([0, this.config.width]);
 
+        // Rows are keyed separately from their labels, since T-length rows can share a date
+        const rowKey = d => d.key || d.date;
+        const rowLabels = new Map(gridData.map(d => [rowKey(d), d.date]));
+
         const yScale = d3.scaleBand()
-            .domain(gridData.map(d => d.date))
+            .domain(gridData.map(rowKey))
             .range([0, this.config.height])
             .padding(0);  // Remove padding between rows
 
@@ -226,17 +360,23 @@ class ActogramChart {
             .attr('text-anchor', 'middle')
             .style('font-size', '12px')
             .style('fill', '#666')
-            .text(`${dateRangeStr} • ${epochDuration} min epochs`);
+            .text(`${dateRangeStr} • ${this.describeEpochDurations(data, epochDuration)}${isCalendarDay ? '' : ` • ${plottingPeriod}h rows`}`);
 
         // Enhanced X axis with better time markers
+        const periodTicks = [...d3.range(0, plottingPeriod, 6), plottingPeriod];
         const xAxis = d3.axisTop(xScale)
             .ticks(6)
             .tickValues(plotType === 'double' ?
-                [...d3.range(0, 25, 6), ...d3.range(24, 49, 6)]  // 0-24 and 24-48 for double plot (every 6 hours)
-                : d3.range(0, 25, 6))  // 0-24 for single plot (every 6 hours)
+                [...periodTicks, ...periodTicks.map(h => h + plottingPeriod)]  // Both periods for double plot (every 6 hours)
+                : periodTicks)  // One period for single plot (every 6 hours)
             .tickFormat(d => {
-                const h = d % 24;
-                return `${Math.floor(h)}:00`;
+                if (isCalendarDay) {
+                    const h = (d + dayStartHour) % 24;
+                    return `${Math.floor(h)}:00`;
+                }
+                // T-length rows don't start at midnight, so label hours into the row
+                const h = d >= plottingPeriod ? d - plottingPeriod : d;
+                return `${Math.round(h * 10) / 10}h`;
             });
 
         const xAxisGroup = g.append('g')
@@ -249,7 +389,8 @@ class ActogramChart {
             .style('font-size', '10px');
 
         // Enhanced Y axis with smart date formatting
-        const yAxis = d3.axisLeft(yScale);
+        const yAxis = d3.axisLeft(yScale)
+            .tickFormat(key => rowLabels.get(key));
 
         // Smart tick values for large date ranges
         if (gridData.length > 14) {
@@ -267,7 +408,7 @@ class ActogramChart {
                         return date.getDay() === 1;
                     }
                 })
-                .map(d => d.date);
+                .map(rowKey);
 
             if (tickValues.length > 0) {
                 yAxis.tickValues(tickValues);
@@ -305,11 +446,12 @@ class ActogramChart {
             .attr('class', 'activity-cell')
             .attr('x', d => xScale(d.hour))
             .attr('y', 0)
-            .attr('width', cellWidth)  // Remove padding
+            .attr('width', d => xScale(d.duration / 60))  // Each epoch at its own length
             .attr('height', this.config.cellHeight)  // Remove padding
             .attr('fill', d => {
                 if (!d.hasData || d.activityScore === 0) {
-                    return '#ffffff';
+                    if (d.sleepState === 'sleep') return ActogramChart.sleepColor;
+                    return d.lockedShare >= 0.5 ? ActogramChart.lockedColor : '#ffffff';
                 }
                 return this.config.colorScale(d.activityScore);
             })
@@ -321,7 +463,9 @@ class ActogramChart {
             .attr('aria-label', d => {
                 const dateStr = d.time.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
                 const timeStr = d.time.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
-                return `${dateStr} ${timeStr}, Activity: ${d.hasData ? d.activityScore + '%' : 'No data'}`;
+                return `${dateStr} ${timeStr}, Activity: ${d.hasData ? d.activityScore + '%' : 'No data'}` +
+                    (d.sleepState ? `, ${d.sleepState === 'sleep' ? 'Sleep' : 'Wake'}` : '') +
+                    (d.lockedShare >= 0.5 ? ', Screen locked' : '');
             })
             .on('mouseover', (event, d) => this.showEnhancedTooltip(event, d))
             .on('mouseout', () => this.hideTooltip())
@@ -336,12 +480,378 @@ class ActogramChart {
 
         // Set cell opacity immediately instead of animating
         cells.style('opacity', 1);
+
+        this.renderSleepEpisodes(g, gridData, overlays.sleepEpisodes, xScale, plottingPeriod, plotType);
+        this.renderDiaryWindows(g, gridData, overlays.diaryWindows, xScale, plottingPeriod, plotType);
+        this.renderNapMarkers(g, gridData, overlays.naps, xScale, plottingPeriod, plotType);
+        this.renderPhaseTrajectory(g, gridData, overlays.phaseTrajectory, xScale, plottingPeriod, plotType);
+        this.renderZoneChangeMarkers(g, gridData, overlays.zoneChanges, xScale, plottingPeriod);
+        this.renderAnnotations(g, gridData, overlays.annotations, xScale, plottingPeriod, plotType, overlays.onAnnotationSelect);
+    }
+
+    /**
+     * Split a time span into the pieces drawn in each row of the linear chart
+     * In a double plot each row also shows the following period on its right half
+     * @param {Array} gridData - Rows from processDataToGrid
+     * @param {number} start - Span start (ms)
+     * @param {number} end - Span end (ms)
+     * @param {number} plottingPeriod - Row length in hours
+     * @param {string} plotType - 'single' or 'double'
+     * @returns {Array} Segments { rowIndex, startHour, endHour }
+     */
+    getSpanSegments(gridData, start, end, plottingPeriod, plotType) {
+        const hourMs = 60 * 60 * 1000;
+        const rowMs = plottingPeriod * hourMs * (plotType === 'double' ? 2 : 1);
+        const segments = [];
+
+        gridData.forEach((row, rowIndex) => {
+            const rowStart = row.rawDate.getTime();
+            const segmentStart = Math.max(start, rowStart);
+            const segmentEnd = Math.min(end, rowStart + rowMs);
+            if (segmentEnd <= segmentStart) return;
+
+            segments.push({
+                rowIndex,
+                startHour: (segmentStart - rowStart) / hourMs,
+                endHour: (segmentEnd - rowStart) / hourMs
+            });
+        });
+
+        return segments;
+    }
+
+    /**
+     * Draw translucent bars for detected sleep episodes, with hover tooltips
+     * Bars fill the lower part of each row so the activity cells above stay hoverable
+     * @param {Object} g - D3 group of the linear chart
+     * @param {Array} gridData - Rows from processDataToGrid
+     * @param {Array} episodes - Sleep episodes { start, end, duration }
+     * @param {Function} xScale - Hour scale of the chart
+     * @param {number} plottingPeriod - Row length in hours
+     * @param {string} plotType - 'single' or 'double'
+     */
+    renderSleepEpisodes(g, gridData, episodes, xScale, plottingPeriod, plotType) {
+        if (!episodes || episodes.length === 0) return;
+
+        const barHeight = this.config.cellHeight * 0.4;
+        const layer = g.append('g').attr('class', 'sleep-episodes');
+
+        episodes.forEach(episode => {
+            this.getSpanSegments(gridData, episode.start, episode.end, plottingPeriod, plotType).forEach(segment => {
+                layer.append('rect')
+                    .attr('class', 'sleep-episode')
+                    .attr('x', xScale(segment.startHour))
+                    .attr('y', (segment.rowIndex + 1) * this.config.cellHeight - barHeight)
+                    .attr('width', xScale(segment.endHour - segment.startHour))
+                    .attr('height', barHeight)
+                    .attr('rx', Math.min(2, barHeight / 2))
+                    .attr('fill', ActogramChart.sleepEpisodeColor)
+                    .attr('opacity', 0.35)
+                    .attr('tabindex', '0')
+                    .attr('role', 'graphics-symbol')
+                    .attr('aria-label', `Sleep ${this.formatEpisodeTime(episode.start)} to ${this.formatEpisodeTime(episode.end)}`)
+                    .on('mouseover', (event) => this.showEpisodeTooltip(event, episode))
+                    .on('mouseout', () => this.hideTooltip())
+                    .on('focus', (event) => this.showEpisodeTooltip(event, episode))
+                    .on('blur', () => this.hideTooltip());
+            });
+        });
+    }
+
+    /**
+     * Draw sleep diary windows in the upper part of each row, above the detected sleep episodes
+     * A thin line spans the reported time in bed; the bar spans the reported sleep
+     * @param {Object} g - D3 group of the linear chart
+     * @param {Array} gridData - Rows from processDataToGrid
+     * @param {Array} windows - Diary sleep windows { start, end, inBedStart, inBedEnd, duration, quality }
+     * @param {Function} xScale - Hour scale of the chart
+     * @param {number} plottingPeriod - Row length in hours
+     * @param {string} plotType - 'single' or 'double'
+     */
+    renderDiaryWindows(g, gridData, windows, xScale, plottingPeriod, plotType) {
+        if (!windows || windows.length === 0) return;
+
+        const barHeight = this.config.cellHeight * 0.3;
+        const layer = g.append('g').attr('class', 'diary-windows');
+
+        windows.forEach(diaryWindow => {
+            this.getSpanSegments(gridData, diaryWindow.inBedStart, diaryWindow.inBedEnd, plottingPeriod, plotType).forEach(segment => {
+                const y = segment.rowIndex * this.config.cellHeight + barHeight / 2;
+                layer.append('line')
+                    .attr('class', 'diary-in-bed')
+                    .attr('x1', xScale(segment.startHour))
+                    .attr('x2', xScale(segment.endHour))
+                    .attr('y1', y)
+                    .attr('y2', y)
+                    .attr('stroke', ActogramChart.diaryColor)
+                    .attr('stroke-width', 1)
+                    .style('pointer-events', 'none');
+            });
+
+            this.getSpanSegments(gridData, diaryWindow.start, diaryWindow.end, plottingPeriod, plotType).forEach(segment => {
+                layer.append('rect')
+                    .attr('class', 'diary-window')
+                    .attr('x', xScale(segment.startHour))
+                    .attr('y', segment.rowIndex * this.config.cellHeight)
+                    .attr('width', xScale(segment.endHour - segment.startHour))
+                    .attr('height', barHeight)
+                    .attr('rx', Math.min(2, barHeight / 2))
+                    .attr('fill', ActogramChart.diaryColor)
+                    .attr('opacity', 0.6)
+                    .attr('tabindex', '0')
+                    .attr('role', 'graphics-symbol')
+                    .attr('aria-label', `Diary sleep ${this.formatEpisodeTime(diaryWindow.start)} to ${this.formatEpisodeTime(diaryWindow.end)}`)
+                    .on('mouseover', (event) => this.showDiaryTooltip(event, diaryWindow))
+                    .on('mouseout', () => this.hideTooltip())
+                    .on('focus', (event) => this.showDiaryTooltip(event, diaryWindow))
+                    .on('blur', () => this.hideTooltip());
+            });
+        });
+    }
+
+    /**
+     * Find where an instant is drawn on the linear chart
+     * In a double plot an instant appears in its own row and in the right half of the row above
+     * @param {Array} gridData - Rows from processDataToGrid
+     * @param {number} timestamp - Time in milliseconds
+     * @param {number} plottingPeriod - Row length in hours
+     * @param {string} plotType - 'single' or 'double'
+     * @returns {Array} Positions { rowIndex, hour }
+     */
+    getTimePositions(gridData, timestamp, plottingPeriod, plotType) {
+        const hourMs = 60 * 60 * 1000;
+        const rowMs = plottingPeriod * hourMs * (plotType === 'double' ? 2 : 1);
+        const positions = [];
+
+        gridData.forEach((row, rowIndex) => {
+            const offset = timestamp - row.rawDate.getTime();
+            if (offset >= 0 && offset < rowMs) {
+                positions.push({ rowIndex, hour: offset / hourMs });
+            }
+        });
+
+        return positions;
+    }
+
+    /**
+     * Overlay activity onsets/offsets and the fitted onset line
+     * @param {Object} g - D3 group of the linear chart
+     * @param {Array} gridData - Rows from processDataToGrid
+     * @param {Object} trajectory - Result of AnalysisUtils.calculatePhaseTrajectory
+     * @param {Function} xScale - Hour scale of the chart
+     * @param {number} plottingPeriod - Row length in hours
+     * @param {string} plotType - 'single' or 'double'
+     */
+    renderPhaseTrajectory(g, gridData, trajectory, xScale, plottingPeriod, plotType) {
+        if (!trajectory) return;
+
+        const layer = g.append('g').attr('class', 'phase-trajectory');
+        const rowCenter = rowIndex => (rowIndex + 0.5) * this.config.cellHeight;
+        const formatTime = timestamp => new Date(timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+
+        // Fitted onset line, one segment per pair of consecutive days drawn in adjacent rows
+        const fit = trajectory.onsetFit;
+        if (fit) {
+            const days = trajectory.onsets.map(p => p.day);
+            const path = d3.path();
+
+            for (let day = Math.min(...days); day < Math.max(...days); day++) {
+                const from = this.getTimePositions(gridData,
+                    AnalysisUtils.getTrajectoryTime(trajectory.referenceDate, fit, day), plottingPeriod, plotType);
+                const to = this.getTimePositions(gridData,
+                    AnalysisUtils.getTrajectoryTime(trajectory.referenceDate, fit, day + 1), plottingPeriod, plotType);
+
+                from.forEach(a => {
+                    const b = to.find(p => p.rowIndex === a.rowIndex + 1 && Math.abs(p.hour - a.hour) < plottingPeriod / 2);
+                    if (!b) return;
+                    path.moveTo(xScale(a.hour), rowCenter(a.rowIndex));
+                    path.lineTo(xScale(b.hour), rowCenter(b.rowIndex));
+                });
+            }
+
+            layer.append('path')
+                .attr('class', 'onset-fit')
+                .attr('d', path.toString())
+                .attr('fill', 'none')
+                .attr('stroke', ActogramChart.onsetColor)
+                .attr('stroke-width', 2)
+                .attr('stroke-dasharray', '4,3')
+                .style('pointer-events', 'none');
+        }
+
+        const drawPoints = (points, color, label) => {
+            points.forEach(point => {
+                this.getTimePositions(gridData, point.timestamp, plottingPeriod, plotType).forEach(position => {
+                    layer.append('circle')
+                        .attr('class', 'phase-marker')
+                        .attr('cx', xScale(position.hour))
+                        .attr('cy', rowCenter(position.rowIndex))
+                        .attr('r', 3)
+                        .attr('fill', color)
+                        .attr('stroke', '#ffffff')
+                        .attr('stroke-width', 1)
+                        .append('title')
+                        .text(`${label} ${formatTime(point.timestamp)}`);
+                });
+            });
+        };
+
+        drawPoints(trajectory.onsets, ActogramChart.onsetColor, 'Activity onset');
+        drawPoints(trajectory.offsets, ActogramChart.offsetColor, 'Activity offset');
+    }
+
+    /**
+     * Shade detected naps on the linear chart
+     * @param {Object} g - D3 group of the linear chart
+     * @param {Array} gridData - Rows from processDataToGrid
+     * @param {Array} naps - Naps { start, end, duration }
+     * @param {Function} xScale - Hour scale of the chart
+     * @param {number} plottingPeriod - Row length in hours
+     * @param {string} plotType - 'single' or 'double'
+     */
+    renderNapMarkers(g, gridData, naps, xScale, plottingPeriod, plotType) {
+        if (!naps || naps.length === 0) return;
+
+        const markers = g.append('g')
+            .attr('class', 'nap-markers')
+            .style('pointer-events', 'none');
+
+        naps.forEach(nap => {
+            this.getSpanSegments(gridData, nap.start, nap.end, plottingPeriod, plotType).forEach(segment => {
+                markers.append('rect')
+                    .attr('class', 'nap-marker')
+                    .attr('x', xScale(segment.startHour))
+                    .attr('y', segment.rowIndex * this.config.cellHeight)
+                    .attr('width', xScale(segment.endHour - segment.startHour))
+                    .attr('height', this.config.cellHeight)
+                    .attr('fill', ActogramChart.napColor)
+                    .attr('opacity', 0.45);
+            });
+        });
+    }
+
+    /**
+     * Mark annotations on the linear chart with a tick and a glyph at the top of the row
+     * @param {Object} g - D3 group of the linear chart
+     * @param {Array} gridData - Rows from processDataToGrid
+     * @param {Array} annotations - Annotations { id, timestamp, type, label, note }
+     * @param {Function} xScale - Hour scale of the chart
+     * @param {number} plottingPeriod - Row length in hours
+     * @param {string} plotType - 'single' or 'double'
+     * @param {Function} onSelect - Called with an annotation when its marker is clicked
+     */
+    renderAnnotations(g, gridData, annotations, xScale, plottingPeriod, plotType, onSelect) {
+        if (!annotations || annotations.length === 0) return;
+
+        const layer = g.append('g').attr('class', 'annotation-markers');
+
+        annotations.forEach(annotation => {
+            this.getTimePositions(gridData, annotation.timestamp, plottingPeriod, plotType).forEach(position => {
+                const x = xScale(position.hour);
+                const y = position.rowIndex * this.config.cellHeight;
+
+                layer.append('line')
+                    .attr('x1', x)
+                    .attr('x2', x)
+                    .attr('y1', y)
+                    .attr('y2', y + this.config.cellHeight)
+                    .attr('stroke', ActogramChart.annotationColor)
+                    .attr('stroke-width', 1)
+                    .style('pointer-events', 'none');
+
+                this.appendAnnotationGlyph(layer, x, y + this.config.cellHeight * 0.3, annotation, onSelect);
+            });
+        });
+    }
+
+    /**
+     * Draw one annotation glyph with its tooltip and click handler
+     * @param {Object} layer - D3 group to draw into
+     * @param {number} x - Horizontal center
+     * @param {number} y - Vertical center
+     * @param {Object} annotation - Annotation { id, timestamp, type, label, note }
+     * @param {Function} onSelect - Called with the annotation when the glyph is clicked
+     */
+    appendAnnotationGlyph(layer, x, y, annotation, onSelect) {
+        const typeName = typeof StorageManager !== 'undefined' && StorageManager.ANNOTATION_TYPES[annotation.type]
+            ? StorageManager.ANNOTATION_TYPES[annotation.type]
+            : annotation.type;
+        const description = `${typeName}${annotation.label ? `: ${annotation.label}` : ''}, ${this.formatEpisodeTime(annotation.timestamp)}`;
+
+        const glyph = layer.append('text')
+            .attr('class', 'annotation-marker')
+            .attr('x', x)
+            .attr('y', y)
+            .attr('text-anchor', 'middle')
+            .attr('dy', '0.35em')
+            .attr('tabindex', '0')
+            .attr('role', 'graphics-symbol')
+            .attr('aria-label', description)
+            .style('font-size', '11px')
+            .style('fill', ActogramChart.annotationColor)
+            .style('cursor', onSelect ? 'pointer' : 'default')
+            .text(ActogramChart.annotationGlyphs[annotation.type] || ActogramChart.annotationGlyphs.other);
+
+        glyph.append('title').text(annotation.note ? `${description}\n${annotation.note}` : description);
+
+        if (onSelect) {
+            glyph
+                .on('click', () => onSelect(annotation))
+                .on('keydown', (event) => {
+                    if (event.key === 'Enter' || event.key === ' ') {
+                        event.preventDefault();
+                        onSelect(annotation);
+                    }
+                });
+        }
+    }
+
+    /**
+     * Mark where the time zone or UTC offset changed (travel or DST)
+     * @param {Object} g - D3 group of the linear chart
+     * @param {Array} gridData - Rows from processDataToGrid
+     * @param {Array} zoneChanges - Changes { timestamp, from, to }
+     * @param {Function} xScale - Hour scale of the chart
+     * @param {number} plottingPeriod - Row length in hours
+     */
+    renderZoneChangeMarkers(g, gridData, zoneChanges, xScale, plottingPeriod) {
+        if (!zoneChanges || zoneChanges.length === 0) return;
+
+        const rowMs = plottingPeriod * 60 * 60 * 1000;
+        const markers = g.append('g').attr('class', 'zone-change-markers');
+
+        zoneChanges.forEach(change => {
+            const rowIndex = gridData.findIndex(row =>
+                change.timestamp >= row.rawDate.getTime() && change.timestamp < row.rawDate.getTime() + rowMs);
+            if (rowIndex === -1) return;
+
+            const x = xScale((change.timestamp - gridData[rowIndex].rawDate.getTime()) / (60 * 60 * 1000));
+            const y = rowIndex * this.config.cellHeight;
+            const describe = zone => `${zone.timeZone ? zone.timeZone + ' ' : ''}(${TimeUtils.formatUtcOffset(zone.utcOffset)})`;
+
+            const marker = markers.append('g')
+                .attr('class', 'zone-change-marker')
+                .attr('transform', `translate(${x}, ${y})`);
+
+            marker.append('line')
+                .attr('y1', 0)
+                .attr('y2', this.config.cellHeight)
+                .attr('stroke', '#E65100')
+                .attr('stroke-width', 2);
+
+            marker.append('path')
+                .attr('d', 'M-4,-6 L4,-6 L0,0 Z')
+                .attr('fill', '#E65100');
+
+            marker.append('title')
+                .text(`Time zone changed: ${describe(change.from)} → ${describe(change.to)}`);
+        });
     }
 
     /**
      * Render spiral (circular) actogram chart
      */
-    renderSpiral(data, daysToShow, epochDuration) {
+    renderSpiral(data, daysToShow, epochDuration, annotations = [], onAnnotationSelect = null) {
         // Cap at 90 days for spiral view
         const MAX_SPIRAL_DAYS = 90;
         const effectiveDays = Math.min(daysToShow === 'all' ? 90 : daysToShow, MAX_SPIRAL_DAYS);
@@ -350,7 +860,6 @@ class ActogramChart {
         const baseRadius = 40;
         const radialStep = 15;
         const arcThickness = 10;
-        const epochAngleWidth = (epochDuration / 1440) * 2 * Math.PI;
 
         // Calculate dimensions and dynamic scaling
         const maxRadius = baseRadius + (effectiveDays * radialStep);
@@ -379,8 +888,8 @@ class ActogramChart {
             .style('min-height', `${svgSize}px`);
 
         // Add Chart Title (Spiral)
-        const startDate = new Date(Math.min(...data.map(d => d.timestamp)));
-        const endDate = new Date(Math.max(...data.map(d => d.timestamp)));
+        const startDate = new Date(d3.min(data, d => d.timestamp));
+        const endDate = new Date(d3.max(data, d => d.timestamp));
         const dateRangeStr = `${this.formatDate(startDate)} - ${this.formatDate(endDate)}`;
 
         this.config.svg.append('text')
@@ -398,73 +907,60 @@ class ActogramChart {
             .attr('text-anchor', 'middle')
             .style('font-size', `${subtitleFontSize}px`)
             .style('fill', '#666')
-            .text(`${dateRangeStr} • ${epochDuration} min epochs`);
+            .text(`${dateRangeStr} • ${this.describeEpochDurations(data, epochDuration)}`);
 
         // Create main group centered in the viewBox
         const g = this.config.svg.append('g')
             .attr('transform', `translate(${centerX},${centerY})`);
 
-        // Pre-process data into a map for O(1) lookups
-        const epochDurationMs = epochDuration * 60 * 1000;
-        const dataMap = new Map();
+        // Draw activity arcs, each on the ring of its day and as wide as the epoch is long
+        const firstDay = new Date(startDate);
+        firstDay.setHours(0, 0, 0, 0);
 
         for (const dataPoint of data) {
-            const normalizedTime = Math.floor(dataPoint.timestamp / (epochDurationMs / 2)) * (epochDurationMs / 2);
-            dataMap.set(normalizedTime, dataPoint);
-        }
-
-        const epochsPerDay = (24 * 60) / epochDuration;
-
-        // Draw activity arcs
-        for (let dayIndex = 0; dayIndex < effectiveDays; dayIndex++) {
-            const currentDate = new Date(startDate);
-            currentDate.setDate(currentDate.getDate() + dayIndex);
-            currentDate.setHours(0, 0, 0, 0);
-
-            for (let epochIndex = 0; epochIndex < epochsPerDay; epochIndex++) {
-                const epochTime = new Date(currentDate);
-                const minutesFromMidnight = epochIndex * epochDuration;
-                epochTime.setMinutes(minutesFromMidnight);
-
-                // Find matching data point using pre-indexed map - O(1) lookup
-                const normalizedTime = Math.floor(epochTime.getTime() / (epochDurationMs / 2)) * (epochDurationMs / 2);
-                const dataPoint = dataMap.get(normalizedTime);
-
-                if (!dataPoint || dataPoint.activityScore === 0) continue; // Skip empty epochs
-
-                const angle = (minutesFromMidnight / 1440) * 2 * Math.PI;
-                const radius = baseRadius + (dayIndex * radialStep);
-
-                const arc = d3.arc()
-                    .innerRadius(radius - arcThickness / 2)
-                    .outerRadius(radius + arcThickness / 2)
-                    .startAngle(angle - epochAngleWidth / 2)
-                    .endAngle(angle + epochAngleWidth / 2);
-
-                const fillColor = this.config.colorScale(dataPoint.activityScore);
-
-                g.append('path')
-                    .attr('d', arc)
-                    .attr('fill', fillColor)
-                    .attr('stroke', 'none')
-                    .attr('tabindex', '0')
-                    .attr('role', 'graphics-symbol')
-                    .attr('aria-label', (d) => {
-                        const dateStr = epochTime.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-                        const timeStr = epochTime.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
-                        return `${dateStr} ${timeStr}, Activity: ${dataPoint.activityScore}%`;
-                    })
-                    .on('mouseover', (event) => this.showTooltip(event, { time: epochTime, activityScore: dataPoint.activityScore, hasData: true }))
-                    .on('mouseout', () => this.hideTooltip())
-                    .on('focus', (event) => this.showTooltip(event, { time: epochTime, activityScore: dataPoint.activityScore, hasData: true }))
-                    .on('blur', () => this.hideTooltip())
-                    .on('keydown', (event) => {
-                        if (event.key === 'Enter' || event.key === ' ') {
-                            event.preventDefault();
-                            this.showTooltip(event, { time: epochTime, activityScore: dataPoint.activityScore, hasData: true });
-                        }
-                    });
-            }
+            if (dataPoint.isGap || !(dataPoint.activityScore > 0)) continue; // Skip empty epochs and gaps
+
+            const epochTime = new Date(dataPoint.timestamp);
+            const dayStart = new Date(epochTime);
+            dayStart.setHours(0, 0, 0, 0);
+
+            const dayIndex = Math.round((dayStart - firstDay) / (24 * 60 * 60 * 1000));
+            if (dayIndex < 0 || dayIndex >= effectiveDays) continue;
+
+            const minutesFromMidnight = epochTime.getHours() * 60 + epochTime.getMinutes() + epochTime.getSeconds() / 60;
+            const angle = (minutesFromMidnight / 1440) * 2 * Math.PI;
+            const epochAngleWidth = (this.getEpochMinutes(dataPoint, epochDuration) / 1440) * 2 * Math.PI;
+            const radius = baseRadius + (dayIndex * radialStep);
+
+            const arc = d3.arc()
+                .innerRadius(radius - arcThickness / 2)
+                .outerRadius(radius + arcThickness / 2)
+                .startAngle(angle)
+                .endAngle(angle + epochAngleWidth);
+
+            const fillColor = this.config.colorScale(dataPoint.activityScore);
+
+            g.append('path')
+                .attr('d', arc)
+                .attr('fill', fillColor)
+                .attr('stroke', 'none')
+                .attr('tabindex', '0')
+                .attr('role', 'graphics-symbol')
+                .attr('aria-label', (d) => {
+                    const dateStr = epochTime.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+                    const timeStr = epochTime.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+                    return `${dateStr} ${timeStr}, Activity: ${dataPoint.activityScore}%`;
+                })
+                .on('mouseover', (event) => this.showTooltip(event, { time: epochTime, activityScore: dataPoint.activityScore, hasData: true }))
+                .on('mouseout', () => this.hideTooltip())
+                .on('focus', (event) => this.showTooltip(event, { time: epochTime, activityScore: dataPoint.activityScore, hasData: true }))
+                .on('blur', () => this.hideTooltip())
+                .on('keydown', (event) => {
+                    if (event.key === 'Enter' || event.key === ' ') {
+                        event.preventDefault();
+                        this.showTooltip(event, { time: epochTime, activityScore: dataPoint.activityScore, hasData: true });
+                    }
+                });
         }
 
         // Draw faint grid circles for each day (optional)
@@ -508,14 +1004,28 @@ class ActogramChart {
                 .style('fill', '#999')
                 .text(`${hour}:00`);
         });
+
+        // Annotation glyphs on the ring of their day, at their time of day
+        (annotations || []).forEach(annotation => {
+            const time = new Date(annotation.timestamp);
+            const dayStart = new Date(time);
+            dayStart.setHours(0, 0, 0, 0);
+
+            const dayIndex = Math.round((dayStart - firstDay) / (24 * 60 * 60 * 1000));
+            if (dayIndex < 0 || dayIndex >= effectiveDays) return;
+
+            const angle = ((time.getHours() * 60 + time.getMinutes()) / 1440) * 2 * Math.PI;
+            const radius = baseRadius + (dayIndex * radialStep);
+            this.appendAnnotationGlyph(g, Math.sin(angle) * radius, -Math.cos(angle) * radius, annotation, onAnnotationSelect);
+        });
     }
 
     /**
      * Render heatmap view
      */
-    renderHeatmap(data, daysToShow, epochDuration) {
+    renderHeatmap(data, daysToShow, epochDuration, dayStartHour = 0) {
         // Process data for aggregated heatmap (by day of week)
-        const heatmapData = this.processDataForAggregatedHeatmap(data, epochDuration);
+        const heatmapData = this.processDataForAggregatedHeatmap(data, epochDuration, dayStartHour);
 
         if (heatmapData.length === 0) {
             this.renderEmptyState('heatmap');
@@ -605,9 +1115,9 @@ class ActogramChart {
                     .attr('rx', 0)  // Remove rounded corners
                     .attr('ry', 0)  // Remove rounded corners
                     .attr('tabindex', '0')
-                    .on('mouseover', (event) => this.showHeatmapTooltip(event, hourData, dayData.day, hourIndex))
+                    .on('mouseover', (event) => this.showHeatmapTooltip(event, hourData, dayData.day, hourData.hour))
                     .on('mouseout', () => this.hideTooltip())
-                    .on('focus', (event) => this.showHeatmapTooltip(event, hourData, dayData.day, hourIndex))
+                    .on('focus', (event) => this.showHeatmapTooltip(event, hourData, dayData.day, hourData.hour))
                     .on('blur', () => this.hideTooltip());
             });
         });
@@ -623,7 +1133,7 @@ class ActogramChart {
                 .attr('text-anchor', 'middle')
                 .style('font-size', '10px')
                 .style('fill', '#666')
-                .text(`${i}:00`);
+                .text(`${(i + dayStartHour) % 24}:00`);
         }
 
         // Add day labels
@@ -642,6 +1152,155 @@ class ActogramChart {
         });
     }
 
+    /**
+     * Render periodogram view (power vs. period)
+     * @param {Array} data - Activity data array
+     * @param {number} epochDuration - Duration of each epoch in minutes
+     */
+    renderPeriodogram(data, epochDuration) {
+        // Restore original width after heatmap/spiral views
+        this.config.width = this.originalWidth;
+
+        const estimate = PeriodogramUtils.estimatePeriod(data, { binMinutes: epochDuration });
+
+        if (!estimate) {
+            this.renderEmptyState('periodogram');
+            return;
+        }
+
+        const periodogram = estimate.method === 'chiSquare' ? estimate.chiSquare : estimate.lombScargle;
+        const points = periodogram.periods.map((period, i) => ({
+            period,
+            power: periodogram.power[i],
+            threshold: periodogram.threshold[i]
+        }));
+
+        // Landscape plot area
+        this.config.height = Math.round(this.config.width * 0.5);
+
+        const totalWidth = this.config.width + this.config.margin.left + this.config.margin.right;
+        const totalHeight = this.config.height + this.config.margin.top + this.config.margin.bottom;
+
+        this.config.svg
+            .attr('viewBox', `0 0 ${totalWidth} ${totalHeight}`)
+            .attr('preserveAspectRatio', 'xMinYMin meet')
+            .style('width', '100%')
+            .style('height', '100%')
+            .style('min-height', `${totalHeight}px`);
+
+        const g = this.config.svg.append('g')
+            .attr('transform', `translate(${this.config.margin.left},${this.config.margin.top})`);
+
+        // Create scales
+        const xScale = d3.scaleLinear()
+            .domain(d3.extent(points, d => d.period))
+            .range([0, this.config.width]);
+
+        const yMax = d3.max(points, d => Math.max(d.power, d.threshold)) * 1.1;
+        const yScale = d3.scaleLinear()
+            .domain([0, yMax])
+            .range([this.config.height, 0])
+            .nice();
+
+        // Add Chart Title
+        const methodName = estimate.method === 'chiSquare' ? 'Chi-square' : 'Lomb-Scargle';
+
+        g.append('text')
+            .attr('x', this.config.width / 2)
+            .attr('y', -50)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '16px')
+            .style('font-weight', '600')
+            .style('fill', '#1565C0')
+            .text('Circadian Periodogram');
+
+        g.append('text')
+            .attr('x', this.config.width / 2)
+            .attr('y', -28)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '12px')
+            .style('fill', '#666')
+            .text(`${methodName} • ${estimate.spanDays} days • α = ${estimate.alpha}`);
+
+        // Axes
+        g.append('g')
+            .attr('class', 'axis x-axis')
+            .attr('transform', `translate(0,${this.config.height})`)
+            .call(d3.axisBottom(xScale).ticks(8).tickFormat(d => `${d}h`));
+
+        g.append('g')
+            .attr('class', 'axis y-axis')
+            .call(d3.axisLeft(yScale).ticks(5));
+
+        g.append('text')
+            .attr('x', this.config.width / 2)
+            .attr('y', this.config.height + 35)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '11px')
+            .style('fill', '#666')
+            .text('Period (hours)');
+
+        g.append('text')
+            .attr('transform', 'rotate(-90)')
+            .attr('x', -this.config.height / 2)
+            .attr('y', -45)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '11px')
+            .style('fill', '#666')
+            .text('Power');
+
+        // Significance threshold
+        const thresholdLine = d3.line()
+            .x(d => xScale(d.period))
+            .y(d => yScale(d.threshold));
+
+        g.append('path')
+            .datum(points)
+            .attr('class', 'periodogram-threshold')
+            .attr('d', thresholdLine)
+            .attr('fill', 'none')
+            .attr('stroke', '#F44336')
+            .attr('stroke-width', 1)
+            .attr('stroke-dasharray', '4,3');
+
+        // Power spectrum
+        const powerLine = d3.line()
+            .x(d => xScale(d.period))
+            .y(d => yScale(d.power));
+
+        g.append('path')
+            .datum(points)
+            .attr('class', 'periodogram-power')
+            .attr('d', powerLine)
+            .attr('fill', 'none')
+            .attr('stroke', '#1565C0')
+            .attr('stroke-width', 1.5);
+
+        // Label the peak
+        const peak = periodogram.peak;
+        const peakX = xScale(peak.period);
+        const peakY = yScale(peak.power);
+
+        g.append('circle')
+            .attr('class', 'periodogram-peak')
+            .attr('cx', peakX)
+            .attr('cy', peakY)
+            .attr('r', 4)
+            .attr('fill', peak.significant ? '#1565C0' : '#999')
+            .attr('tabindex', '0')
+            .attr('role', 'graphics-symbol')
+            .attr('aria-label', `Peak at ${peak.period.toFixed(2)} hours, power ${peak.power}`);
+
+        g.append('text')
+            .attr('x', peakX)
+            .attr('y', peakY - 10)
+            .attr('text-anchor', peakX > this.config.width - 80 ? 'end' : 'middle')
+            .style('font-size', '12px')
+            .style('font-weight', '600')
+            .style('fill', peak.significant ? '#1565C0' : '#999')
+            .text(`τ = ${peak.period.toFixed(2)}h${peak.significant ? '' : ' (n.s.)'}`);
+    }
+
     /**
      * Process data for heatmap view
      */
@@ -651,10 +1310,10 @@ class ActogramChart {
         // Get date range
         let dataEnd, dataStart;
         if (daysToShow === 'all') {
-            dataEnd = new Date(Math.max(...data.map(d => d.timestamp)));
-            dataStart = new Date(Math.min(...data.map(d => d.timestamp)));
+            dataEnd = new Date(d3.max(data, d => d.timestamp));
+            dataStart = new Date(d3.min(data, d => d.timestamp));
         } else {
-            dataEnd = new Date(Math.max(...data.map(d => d.timestamp)));
+            dataEnd = new Date(d3.max(data, d => d.timestamp));
             dataStart = new Date(dataEnd);
             dataStart.setDate(dataStart.getDate() - daysToShow + 1);
         }
@@ -707,22 +1366,15 @@ class ActogramChart {
 
     /**
      * Process raw data into aggregated heatmap format by day of week
+     * Columns run from the day start hour, so hours before it count towards the previous day
      * @param {Array} data - Activity data array
      * @param {number} epochDuration - Duration of each epoch in minutes
+     * @param {number} dayStartHour - Local hour at which a day starts
      * @returns {Array} Aggregated heatmap data grouped by day of week
      */
-    processDataForAggregatedHeatmap(data, epochDuration) {
+    processDataForAggregatedHeatmap(data, epochDuration, dayStartHour = 0) {
         if (!data || data.length === 0) return [];
 
-        // Pre-process data into a map for O(1) lookups
-        const epochDurationMs = epochDuration * 60 * 1000;
-        const dataMap = new Map();
-
-        for (const dataPoint of data) {
-            const normalizedTime = Math.floor(dataPoint.timestamp / (epochDurationMs / 2)) * (epochDurationMs / 2);
-            dataMap.set(normalizedTime, dataPoint);
-        }
-
         // Create array for days of week (0 = Sunday, 1 = Monday, ..., 6 = Saturday)
         // We want Monday-Sunday order, so we'll reorder: [1,2,3,4,5,6,0]
         const dayOrder = [1, 2, 3, 4, 5, 6, 0]; // Monday to Sunday
@@ -732,41 +1384,36 @@ class ActogramChart {
         const aggregatedData = dayOrder.map((dayIndex, index) => ({
             dayIndex: dayIndex,
             day: dayNames[index],
-            hours: Array(24).fill(null).map((_, hour) => ({
-                hour: hour,
-                values: [] // Will store all values for this hour across all occurrences of this day
+            hours: Array(24).fill(null).map((_, column) => ({
+                hour: (column + dayStartHour) % 24, // Clock hour shown in this column
+                weightedSum: 0, // Activity times minutes, over all occurrences of this day and hour
+                minutes: 0
             }))
         }));
 
-        // Process all data points and group by day of week and hour
-        const dataStart = new Date(Math.min(...data.map(d => d.timestamp)));
-        const dataEnd = new Date(Math.max(...data.map(d => d.timestamp)));
-        dataStart.setHours(0, 0, 0, 0);
-
-        const totalDays = Math.ceil((dataEnd - dataStart) / (1000 * 60 * 60 * 24));
-
-        for (let day = 0; day < totalDays; day++) {
-            const currentDate = new Date(dataStart);
-            currentDate.setDate(currentDate.getDate() + day);
+        // Split every epoch over the clock hours it overlaps, weighted by the minutes in each
+        const hourMs = 60 * 60 * 1000;
+        for (const dataPoint of data) {
+            if (dataPoint.isGap || !(dataPoint.activityScore >= 0)) continue;
 
-            const dayOfWeek = currentDate.getDay(); // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
-            const dayDataIndex = dayOrder.indexOf(dayOfWeek);
+            const end = dataPoint.timestamp + this.getEpochMinutes(dataPoint, epochDuration) * 60 * 1000;
+            let cursor = dataPoint.timestamp;
 
-            // Skip if this day isn't in our ordered list (shouldn't happen)
-            if (dayDataIndex === -1) continue;
+            while (cursor < end) {
+                const hourStart = new Date(cursor);
+                hourStart.setMinutes(0, 0, 0);
+                const sliceEnd = Math.min(end, hourStart.getTime() + hourMs);
 
-            // Process each hour of this day
-            for (let hour = 0; hour < 24; hour++) {
-                const epochTime = new Date(currentDate);
-                epochTime.setHours(hour, 0, 0, 0);
+                // Hours before the day start count towards the previous day
+                const dayOfWeek = TimeUtils.getDayStart(cursor, dayStartHour).getDay();
+                const column = (hourStart.getHours() - dayStartHour + 24) % 24;
+                const minutes = (sliceEnd - cursor) / (60 * 1000);
 
-                // Find matching data point
-                const normalizedTime = Math.floor(epochTime.getTime() / (epochDurationMs / 2)) * (epochDurationMs / 2);
-                const dataPoint = dataMap.get(normalizedTime);
+                const hourData = aggregatedData[dayOrder.indexOf(dayOfWeek)].hours[column];
+                hourData.weightedSum += dataPoint.activityScore * minutes;
+                hourData.minutes += minutes;
 
-                if (dataPoint) {
-                    aggregatedData[dayDataIndex].hours[hour].values.push(dataPoint.activityScore);
-                }
+                cursor = sliceEnd;
             }
         }
 
@@ -776,10 +1423,8 @@ class ActogramChart {
             hours: dayData.hours.map(hourData => ({
                 hour: hourData.hour,
                 time: new Date(0), // Placeholder, not used in aggregated view
-                activityScore: hourData.values.length > 0
-                    ? hourData.values.reduce((sum, val) => sum + val, 0) / hourData.values.length
-                    : 0,
-                hasData: hourData.values.length > 0
+                activityScore: hourData.minutes > 0 ? hourData.weightedSum / hourData.minutes : 0,
+                hasData: hourData.minutes > 0
             }))
         }));
 
@@ -787,108 +1432,233 @@ class ActogramChart {
     }
     /**
      * Process raw data into grid format
+     * Each epoch is drawn at its own length, and the hours no epoch covers are
+     * filled with empty cells of the chart's epoch duration
      * @param {Array} data - Activity data array
      * @param {number} daysToShow - Number of days to display
      * @param {number} epochDuration - Duration of each epoch in minutes
      * @param {string} plotType - 'single' or 'double'
+     * @param {number} plottingPeriod - Row length in hours (24 = calendar days)
+     * @param {number} dayStartHour - Local hour at which each row starts
      */
-    processDataToGrid(data, daysToShow, epochDuration, plotType = 'double') {
+    processDataToGrid(data, daysToShow, epochDuration, plotType = 'double', plottingPeriod = 24, dayStartHour = 0) {
         if (!data || data.length === 0) return [];
 
+        if (plottingPeriod !== 24) {
+            return this.processDataToPeriodGrid(data, daysToShow, epochDuration, plotType, plottingPeriod, dayStartHour);
+        }
+
         // Get date range
         let dataEnd, dataStart;
         if (daysToShow === 'all') {
-            dataEnd = new Date(Math.max(...data.map(d => d.timestamp)));
-            dataStart = new Date(Math.min(...data.map(d => d.timestamp)));
+            dataEnd = new Date(d3.max(data, d => d.timestamp));
+            dataStart = new Date(d3.min(data, d => d.timestamp));
         } else {
-            dataEnd = new Date(Math.max(...data.map(d => d.timestamp)));
+            dataEnd = new Date(d3.max(data, d => d.timestamp));
             dataStart = new Date(dataEnd);
             dataStart.setDate(dataStart.getDate() - daysToShow + 1);
         }
-        dataStart.setHours(0, 0, 0, 0);
-
-        // Pre-process data into a map for O(1) lookups
-        const epochDurationMs = epochDuration * 60 * 1000;
-        const dataMap = new Map();
-
-        for (const dataPoint of data) {
-            const normalizedTime = Math.floor(dataPoint.timestamp / (epochDurationMs / 2)) * (epochDurationMs / 2);
-            dataMap.set(normalizedTime, dataPoint);
-        }
+        dataStart = TimeUtils.getDayStart(dataStart, dayStartHour);
 
         // Create grid structure for the actual date range in data
         const grid = [];
         const timeDiff = dataEnd - dataStart;
         const daysInRange = Math.ceil(timeDiff / (1000 * 60 * 60 * 24)) + 1;
 
-        const epochsPerDay = (24 * 60) / epochDuration;
-
         for (let day = 0; day < daysInRange; day++) {
-            const currentDate = new Date(dataStart);
-            currentDate.setDate(currentDate.getDate() + day);
+            const currentDate = TimeUtils.addDays(dataStart, day);
 
-            const dayData = {
+            grid.push({
                 date: this.formatDate(currentDate),
                 rawDate: new Date(currentDate),
                 epochs: []
-            };
+            });
+        }
+
+        this.placeEpochsInRows(grid, data, epochDuration, plottingPeriod, plotType);
+
+        grid.forEach(row => {
+            // Slots of the chart's epoch duration that already show an epoch
+            const coveredSlots = new Set();
+            row.epochs.forEach(epoch => {
+                const startMinutes = epoch.hour * 60;
+                const firstSlot = Math.floor(startMinutes / epochDuration + 1e-9);
+                const lastSlot = Math.ceil((startMinutes + epoch.duration) / epochDuration - 1e-9);
+                for (let slot = firstSlot; slot < lastSlot; slot++) {
+                    coveredSlots.add(slot);
+                }
+            });
 
-            // 1. Generate first 24 hours (Day N)
-            const day1Epochs = this.generateDayEpochs(dataMap, currentDate, epochDuration, 0, epochDurationMs);
-            dayData.epochs.push(...day1Epochs);
+            // 1. Empty cells for the first 24 hours (Day N)
+            const emptyCells = this.generateDayEpochs(coveredSlots, row.rawDate, epochDuration, 0, dayStartHour);
 
-            // 2. If double plot, generate next 24 hours (Day N+1)
+            // 2. If double plot, also for the next 24 hours (Day N+1)
             if (plotType === 'double') {
-                const nextDate = new Date(currentDate);
-                nextDate.setDate(nextDate.getDate() + 1);
-
-                // Offset hours by 24 for the second half
-                const day2Epochs = this.generateDayEpochs(dataMap, nextDate, epochDuration, 24, epochDurationMs);
-                dayData.epochs.push(...day2Epochs);
+                const nextDate = TimeUtils.addDays(row.rawDate, 1);
+                emptyCells.push(...this.generateDayEpochs(coveredSlots, nextDate, epochDuration, 24, dayStartHour));
             }
 
-            grid.push(dayData);
-        }
+            // Empty cells come first so epochs are drawn over them
+            row.epochs = [...emptyCells, ...row.epochs];
+        });
 
         return grid;
     }
 
     /**
-     * Helper to generate epochs for a single day
-     * @param {Map} dataMap - Map of timestamp to data points
-     * @param {Date} date - Date to generate epochs for
+     * Re-slice the epoch stream into rows of an arbitrary period
+     * Used for free-running schedules, where T-length rows turn a drifting band vertical
+     * @param {Array} data - Activity data array
+     * @param {number} daysToShow - Number of days to display
      * @param {number} epochDuration - Duration of each epoch in minutes
+     * @param {string} plotType - 'single' or 'double'
+     * @param {number} plottingPeriod - Row length in hours
+     * @param {number} dayStartHour - Local hour at which the first row starts
+     */
+    processDataToPeriodGrid(data, daysToShow, epochDuration, plotType, plottingPeriod, dayStartHour = 0) {
+        // Get date range
+        const dataEnd = new Date(d3.max(data, d => d.timestamp));
+        let dataStart;
+        if (daysToShow === 'all') {
+            dataStart = new Date(d3.min(data, d => d.timestamp));
+        } else {
+            dataStart = new Date(dataEnd);
+            dataStart.setDate(dataStart.getDate() - daysToShow + 1);
+        }
+        dataStart = TimeUtils.getDayStart(dataStart, dayStartHour);
+
+        const periodMs = plottingPeriod * 60 * 60 * 1000;
+        const rowCount = Math.floor((dataEnd - dataStart) / periodMs) + 1;
+
+        const grid = [];
+        for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+            const rowStart = new Date(dataStart.getTime() + rowIndex * periodMs);
+
+            grid.push({
+                key: String(rowStart.getTime()),
+                date: this.formatDate(rowStart),
+                rawDate: rowStart,
+                epochs: []
+            });
+        }
+
+        // In a double plot each row also gets the next period, offset by one row length
+        this.placeEpochsInRows(grid, data, epochDuration, plottingPeriod, plotType);
+
+        return grid;
+    }
+
+    /**
+     * Place epochs in the rows of the linear chart at their true start and length
+     * Splits them like getSpanSegments, but walks rows and epochs together so long ranges stay fast.
+     * Gap epochs are left out, so their span shows as no data
+     * @param {Array} grid - Rows with rawDate and an epochs array, in time order
+     * @param {Array} data - Activity data array
+     * @param {number} epochDuration - Length in minutes of epochs saved without one
+     * @param {number} plottingPeriod - Row length in hours
+     * @param {string} plotType - 'single' or 'double'
+     */
+    placeEpochsInRows(grid, data, epochDuration, plottingPeriod, plotType) {
+        const hourMs = 60 * 60 * 1000;
+        const rowMs = plottingPeriod * hourMs * (plotType === 'double' ? 2 : 1);
+        const epochs = data
+            .filter(dataPoint => !dataPoint.isGap && dataPoint.activityScore >= 0)
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        let firstRow = 0;
+        for (const dataPoint of epochs) {
+            const start = dataPoint.timestamp;
+            const end = start + this.getEpochMinutes(dataPoint, epochDuration) * 60 * 1000;
+
+            // Rows that end before this epoch cannot hold any later one either
+            while (firstRow < grid.length && grid[firstRow].rawDate.getTime() + rowMs <= start) {
+                firstRow++;
+            }
+
+            for (let rowIndex = firstRow; rowIndex < grid.length; rowIndex++) {
+                const rowStart = grid[rowIndex].rawDate.getTime();
+                if (rowStart >= end) break;
+
+                const pieceStart = Math.max(start, rowStart);
+                const pieceEnd = Math.min(end, rowStart + rowMs);
+                if (pieceEnd <= pieceStart) continue;
+
+                grid[rowIndex].epochs.push({
+                    hour: (pieceStart - rowStart) / hourMs,
+                    duration: (pieceEnd - pieceStart) / (60 * 1000),
+                    time: new Date(pieceStart),
+                    activityScore: dataPoint.activityScore,
+                    sleepState: dataPoint.sleepState || null,
+                    lockedShare: AnalysisUtils.getLockedShare(dataPoint),
+                    hasData: true
+                });
+            }
+        }
+    }
+
+    /**
+     * Helper to generate the empty cells of a single day
+     * @param {Set} coveredSlots - Row slot indices that already show an epoch
+     * @param {Date} date - Date to generate cells for
+     * @param {number} epochDuration - Duration of each cell in minutes
      * @param {number} hourOffset - Hour offset for positioning (0 for first day, 24 for second day in double plot)
-     * @param {number} epochDurationMs - Epoch duration in milliseconds
+     * @param {number} dayStartHour - Local hour at which the day starts
      */
-    generateDayEpochs(dataMap, date, epochDuration, hourOffset = 0, epochDurationMs) {
+    generateDayEpochs(coveredSlots, date, epochDuration, hourOffset = 0, dayStartHour = 0) {
         const epochs = [];
         const epochsPerDay = (24 * 60) / epochDuration;
+        const slotOffset = (hourOffset * 60) / epochDuration;
 
         // Ensure we're working with start of day
         const startOfDay = new Date(date);
-        startOfDay.setHours(0, 0, 0, 0);
+        startOfDay.setHours(dayStartHour, 0, 0, 0);
 
         for (let epochIndex = 0; epochIndex < epochsPerDay; epochIndex++) {
+            if (coveredSlots.has(epochIndex + slotOffset)) continue;
+
             const epochTime = new Date(startOfDay);
-            const minutesFromMidnight = epochIndex * epochDuration;
+            const minutesFromMidnight = epochIndex * epochDuration; // Minutes from the day start
             epochTime.setMinutes(minutesFromMidnight);
 
-            // Find matching data point using pre-indexed map - O(1) lookup
-            const normalizedTime = Math.floor(epochTime.getTime() / (epochDurationMs / 2)) * (epochDurationMs / 2);
-            const dataPoint = dataMap.get(normalizedTime);
-
             epochs.push({
                 hour: (minutesFromMidnight / 60) + hourOffset, // Add offset for second day in double plot
+                duration: epochDuration,
                 time: epochTime,
-                activityScore: dataPoint ? dataPoint.activityScore : 0,
-                hasData: !!dataPoint
+                activityScore: 0,
+                sleepState: null,
+                hasData: false
             });
         }
 
         return epochs;
     }
 
+    /**
+     * Length of a stored epoch in minutes
+     * Epochs carry their own length, so imported, tracked and history data can differ
+     * @param {Object} dataPoint - Stored epoch
+     * @param {number} epochDuration - Fallback for epochs saved without an epochDuration
+     * @returns {number} Minutes
+     */
+    getEpochMinutes(dataPoint, epochDuration) {
+        return dataPoint.epochDuration > 0 ? dataPoint.epochDuration : epochDuration;
+    }
+
+    /**
+     * Describe the epoch lengths in the data for chart subtitles, e.g. "15 min epochs" or "1/15/60 min epochs"
+     * @param {Array} data - Activity data array
+     * @param {number} epochDuration - Fallback for epochs saved without an epochDuration
+     * @returns {string} Description
+     */
+    describeEpochDurations(data, epochDuration) {
+        const durations = [...new Set(data
+            .filter(dataPoint => !dataPoint.isGap && dataPoint.activityScore >= 0)
+            .map(dataPoint => this.getEpochMinutes(dataPoint, epochDuration)))]
+            .sort((a, b) => a - b);
+
+        return `${(durations.length > 0 ? durations : [epochDuration]).join('/')} min epochs`;
+    }
+
     /**
      * Show enhanced tooltip with trend information
      */
@@ -923,6 +1693,14 @@ class ActogramChart {
             content += `<div class="tooltip-content">No activity recorded</div>`;
         }
 
+        if (epoch.lockedShare > 0) {
+            content += `<div class="tooltip-content">Screen locked: ${Math.round(epoch.lockedShare * 100)}%</div>`;
+        }
+
+        if (epoch.sleepState) {
+            content += `<div class="tooltip-content">Scored as ${epoch.sleepState}</div>`;
+        }
+
         // Handle keyboard events (where pageX/Y might be missing)
         let x = event.pageX;
         let y = event.pageY;
@@ -941,6 +1719,85 @@ class ActogramChart {
             .classed('visible', true);
     }
 
+    /**
+     * Format an episode boundary for tooltips, e.g. "Dec 1, 11:30 PM"
+     * @param {number} timestamp - Time in milliseconds
+     * @returns {string} Date and time
+     */
+    formatEpisodeTime(timestamp) {
+        const time = new Date(timestamp);
+        const dateStr = time.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        const timeStr = time.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+        return `${dateStr}, ${timeStr}`;
+    }
+
+    /**
+     * Show sleep episode tooltip
+     */
+    showEpisodeTooltip(event, episode) {
+        const tooltip = d3.select('#tooltip');
+
+        const hours = Math.floor(episode.duration / 60);
+        const minutes = episode.duration % 60;
+
+        const content = `
+            <div class="tooltip-header">Sleep episode</div>
+            <div class="tooltip-content">Start: ${this.formatEpisodeTime(episode.start)}</div>
+            <div class="tooltip-content">End: ${this.formatEpisodeTime(episode.end)}</div>
+            <div class="tooltip-content">Duration: ${hours}h ${minutes}m</div>
+        `;
+
+        let x = event.pageX;
+        let y = event.pageY;
+
+        if (x === undefined || x === 0) {
+            const rect = event.target.getBoundingClientRect();
+            x = rect.left + window.scrollX + (rect.width / 2);
+            y = rect.top + window.scrollY;
+        }
+
+        tooltip
+            .html(content)
+            .style('left', (x + 10) + 'px')
+            .style('top', (y - 10) + 'px')
+            .classed('visible', true);
+    }
+
+    /**
+     * Show sleep diary tooltip
+     */
+    showDiaryTooltip(event, diaryWindow) {
+        const tooltip = d3.select('#tooltip');
+
+        const hours = Math.floor(diaryWindow.duration / 60);
+        const minutes = diaryWindow.duration % 60;
+
+        const content = `
+            <div class="tooltip-header">Sleep diary</div>
+            <div class="tooltip-content">In bed: ${this.formatEpisodeTime(diaryWindow.inBedStart)}</div>
+            <div class="tooltip-content">Asleep: ${this.formatEpisodeTime(diaryWindow.start)}</div>
+            <div class="tooltip-content">Awake: ${this.formatEpisodeTime(diaryWindow.end)}</div>
+            <div class="tooltip-content">Out of bed: ${this.formatEpisodeTime(diaryWindow.inBedEnd)}</div>
+            <div class="tooltip-content">Sleep: ${hours}h ${minutes}m</div>
+            ${diaryWindow.quality ? `<div class="tooltip-content">Quality: ${diaryWindow.quality}/5</div>` : ''}
+        `;
+
+        let x = event.pageX;
+        let y = event.pageY;
+
+        if (x === undefined || x === 0) {
+            const rect = event.target.getBoundingClientRect();
+            x = rect.left + window.scrollX + (rect.width / 2);
+            y = rect.top + window.scrollY;
+        }
+
+        tooltip
+            .html(content)
+            .style('left', (x + 10) + 'px')
+            .style('top', (y - 10) + 'px')
+            .classed('visible', true);
+    }
+
     /**
      * Show heatmap tooltip
      */
@@ -1021,18 +1878,20 @@ class ActogramChart {
             .attr('class', 'empty-state')
             .attr('transform', `translate(${this.config.width / 2}, ${this.config.height / 2})`);
 
+        const isPeriodogram = viewType === 'periodogram';
+
         g.append('text')
             .attr('text-anchor', 'middle')
             .style('font-size', '16px')
             .style('fill', '#999')
-            .text('No activity data yet');
+            .text(isPeriodogram ? 'Not enough data for a periodogram' : 'No activity data yet');
 
         g.append('text')
             .attr('text-anchor', 'middle')
             .attr('y', 30)
             .style('font-size', '14px')
             .style('fill', '#bbb')
-            .text('Start using your browser to collect data');
+            .text(isPeriodogram ? 'Select a longer time range (at least 3 days)' : 'Start using your browser to collect data');
     }
 
     /**
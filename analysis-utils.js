@@ -4,8 +4,39 @@
  */
 
 const AnalysisUtils = {
+    // Per-epoch sleep/wake scoring (weighted moving window, Cole-Kripke style)
+    SLEEP_SCORING_DEFAULTS: {
+        // Weights for the epochs around the scored one; Cole-Kripke's 1-minute window is
+        // narrowed here so a 15-minute epoch next to activity is not pulled to wake
+        weights: [0.04, 0.1, 0.7, 0.1, 0.04],
+        center: 2, // Index of the scored epoch within weights
+        threshold: 15, // Weighted activity score (0-100) below which an epoch is sleep
+        // Share of the weighted score removed from an epoch spent entirely with the screen locked;
+        // locking is a deliberate act, so nearby activity should pull it to wake less than plain idleness
+        lockedDiscount: 0.5
+    },
+
+    // Default weekly free days (0 = Sunday ... 6 = Saturday) when no work calendar is set
+    DEFAULT_FREE_DAYS: [0, 6],
+
+    // Minimum nights of each kind before MSFsc is reported
+    MIN_MSF_NIGHTS: 2,
+
+    // Detection parameters searched when calibrating against the sleep diary
+    SLEEP_CALIBRATION_GRID: {
+        sleepScoringThreshold: [5, 10, 15, 25, 40], // same steps as the options page
+        minSleepDuration: [60, 120, 180, 240], // minutes
+        maxSleepInterruption: [0, 15, 30, 60] // minutes
+    },
+
+    // Minimum diary nights with activity data before calibration runs
+    MIN_CALIBRATION_NIGHTS: 3,
+
     /**
      * Detect sleep/wake cycles from activity data
+     * Sleep is searched on the continuous timeline, so episodes that cross midnight are found intact.
+     * Each episode is attributed to the wake day it ends on, the local date of the final wake-up,
+     * so a day sleep counts for its own day.
      * @param {Array} activityData - Array of epoch objects with timestamps and activity scores
      * @param {Object} settings - User settings for analysis
      * @returns {Object} Sleep/wake cycle analysis results
@@ -17,48 +48,690 @@ const AnalysisUtils = {
             return { cycles: [], summary: {} };
         }
 
-        // Group data by day
-        const dailyData = this.groupActivityByDay(activityData);
-        console.log('Grouped daily data length:', dailyData.length);
+        // Label epochs that the background analysis has not scored yet
+        activityData = this.classifySleepWake(activityData, settings, { keepExisting: true });
+
+        // Find sleep episodes across the whole timeline
+        const episodes = this.detectSleepEpisodes(activityData, settings);
+        console.log('Detected sleep episodes:', episodes.length);
+
+        // Group data into wake days
+        const dailyData = this.groupActivityByWakeDay(activityData);
+        console.log('Grouped wake day data length:', dailyData.length);
+
+        // Daytime rest bouts outside the main sleep episodes
+        const naps = this.detectNaps(activityData, settings, episodes);
+        console.log('Detected naps:', naps.length);
 
-        // Detect sleep periods for each day
         const cycles = dailyData.map(day => {
-            const sleepPeriod = this.detectSleepPeriod(day.epochs, settings);
+            const dayEpisodes = episodes.filter(e => e.wakeDay === day.date);
+            const mainSleep = dayEpisodes.reduce((longest, e) =>
+                !longest || e.duration > longest.duration ? e : longest, null);
+
             return {
-                date: new Date(day.date),
-                sleepStart: sleepPeriod ? sleepPeriod.start : null,
-                sleepEnd: sleepPeriod ? sleepPeriod.end : null,
-                sleepDuration: sleepPeriod ? sleepPeriod.duration : null,
+                date: TimeUtils.parseDateKey(day.date),
+                sleepStart: mainSleep ? mainSleep.start : null,
+                sleepEnd: mainSleep ? mainSleep.end : null,
+                sleepDuration: mainSleep ? mainSleep.duration : null,
+                episodes: dayEpisodes,
+                naps: naps.filter(n => n.day === day.date),
                 epochs: day.epochs
             };
         });
 
         console.log('Detected cycles:', cycles);
 
+        // Sleep Regularity Index from per-epoch sleep/wake states
+        const sleepRegularity = this.calculateSleepRegularity(activityData, episodes, settings);
+
         // Calculate summary statistics
-        const summary = this.calculateSleepSummary(cycles);
+        const summary = this.calculateSleepSummary(cycles, sleepRegularity);
         console.log('Sleep summary:', summary);
 
         // Add circadian rhythm analysis
-        const circadianAnalysis = this.analyzeCircadianRhythms(activityData);
+        const circadianAnalysis = this.analyzeCircadianRhythms(activityData, settings);
+        if (circadianAnalysis.chronotype) {
+            // Mid-sleep chronotype needs the detected sleep cycles
+            circadianAnalysis.chronotype.msfsc = this.calculateMSFsc(cycles, settings);
+        }
+        // Social jetlag needs the detected sleep cycles
+        circadianAnalysis.socialJetlag = this.calculateSocialJetlag(cycles, settings);
         console.log('Circadian analysis:', circadianAnalysis);
 
-        return { cycles, summary, circadian: circadianAnalysis };
+        return {
+            cycles,
+            summary,
+            sleepRegularity,
+            naps: this.summarizeNaps(naps, activityData, settings),
+            phaseTrajectory: this.calculatePhaseTrajectory(activityData, settings, episodes),
+            circadian: circadianAnalysis
+        };
+    },
+
+    /**
+     * Get the sleep scoring parameters from settings
+     * @param {Object} settings - User settings (sleepScoringWeights, sleepScoringCenter, sleepScoringThreshold, sleepScoringLockedDiscount)
+     * @returns {Object} { weights, center, threshold, lockedDiscount }
+     */
+    getSleepScoringOptions(settings = {}) {
+        const defaults = this.SLEEP_SCORING_DEFAULTS;
+        const weights = Array.isArray(settings.sleepScoringWeights) && settings.sleepScoringWeights.length > 0
+            ? settings.sleepScoringWeights
+            : defaults.weights;
+        const center = settings.sleepScoringCenter ?? (weights === defaults.weights ? defaults.center : Math.floor(weights.length / 2));
+
+        return {
+            weights,
+            center: Math.min(Math.max(0, center), weights.length - 1),
+            threshold: settings.sleepScoringThreshold ?? defaults.threshold,
+            lockedDiscount: Math.min(1, Math.max(0, settings.sleepScoringLockedDiscount ?? defaults.lockedDiscount))
+        };
+    },
+
+    /**
+     * Label every epoch as sleep or wake
+     * Each epoch is scored from the weighted activity of its neighbours on the epoch grid;
+     * missing neighbours count as no activity. Epochs spent with the screen locked have their
+     * score reduced in proportion (lockedDiscount). Gap epochs are left unlabelled.
+     * @param {Array} activityData - Array of epoch objects
+     * @param {Object} settings - User settings with optional scoring overrides
+     * @param {Object} options - { keepExisting: keep labels already on epochs }
+     * @returns {Array} Copies of the epochs with sleepState 'sleep' or 'wake', in input order
+     */
+    classifySleepWake(activityData, settings = {}, options = {}) {
+        if (!activityData || activityData.length === 0) return [];
+
+        const { weights, center, threshold, lockedDiscount } = this.getSleepScoringOptions(settings);
+        const sorted = activityData
+            .filter(e => !e.isGap && e.activityScore >= 0)
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        // Binary search for the epoch covering a point in time
+        const activityAt = time => {
+            let low = 0;
+            let high = sorted.length - 1;
+            while (low <= high) {
+                const mid = (low + high) >> 1;
+                const epoch = sorted[mid];
+                const end = epoch.timestamp + (epoch.epochDuration || 15) * 60 * 1000;
+                if (time < epoch.timestamp) {
+                    high = mid - 1;
+                } else if (time >= end) {
+                    low = mid + 1;
+                } else {
+                    return epoch.activityScore;
+                }
+            }
+            return 0;
+        };
+
+        const labels = new Map();
+        sorted.forEach(epoch => {
+            const durationMs = (epoch.epochDuration || 15) * 60 * 1000;
+            let score = 0;
+            weights.forEach((weight, i) => {
+                // Sample the middle of each neighbouring epoch slot
+                score += weight * activityAt(epoch.timestamp + (i - center) * durationMs + durationMs / 2);
+            });
+            score *= 1 - lockedDiscount * this.getLockedShare(epoch);
+            labels.set(epoch.timestamp, score < threshold ? 'sleep' : 'wake');
+        });
+
+        return activityData.map(epoch => {
+            if (!labels.has(epoch.timestamp) || (options.keepExisting && epoch.sleepState)) {
+                return epoch;
+            }
+            return { ...epoch, sleepState: labels.get(epoch.timestamp) };
+        });
+    },
+
+    /**
+     * Share of an epoch's tracked time spent with the screen locked
+     * @param {Object} epoch - Epoch with optional activeSeconds, idleSeconds and lockedSeconds
+     * @returns {number} 0-1, or 0 for epochs recorded before locked time was counted
+     */
+    getLockedShare(epoch) {
+        const lockedSeconds = epoch.lockedSeconds || 0;
+        const totalSeconds = (epoch.activeSeconds || 0) + (epoch.idleSeconds || 0) + lockedSeconds;
+        return totalSeconds > 0 ? lockedSeconds / totalSeconds : 0;
+    },
+
+    /**
+     * Find sleep episodes on the continuous timeline
+     * Rest is any time with no epoch, a gap epoch, or an epoch labelled sleep by classifySleepWake
+     * (unlabelled epochs fall back to an activity threshold). Rest runs separated by brief activity are merged.
+     * Each episode's wake day is the local date it ends on.
+     * @param {Array} activityData - Array of epoch objects
+     * @param {Object} settings - Analysis settings
+     * @returns {Array} Episodes { start, end, duration (minutes), wakeDay }
+     */
+    detectSleepEpisodes(activityData, settings = {}) {
+        if (!activityData || activityData.length === 0) return [];
+
+        const minSleepDuration = settings.minSleepDuration || 180; // minutes (3 hours)
+        const maxSleepDuration = settings.maxSleepDuration || 18 * 60; // longer runs are absence, not sleep
+
+        return this.findRestRuns(activityData, settings)
+            .filter(run => run.duration >= minSleepDuration && run.duration <= maxSleepDuration)
+            .map(run => ({
+                ...run,
+                wakeDay: this.getWakeDayKey(run.end)
+            }));
+    },
+
+    /**
+     * Find runs of rest on the continuous timeline, merging runs separated by brief activity
+     * @param {Array} activityData - Array of epoch objects
+     * @param {Object} settings - Analysis settings
+     * @param {boolean} includeUntracked - Count untracked time and gap epochs as rest
+     * @returns {Array} Runs { start, end, duration (minutes) }
+     */
+    findRestRuns(activityData, settings = {}, includeUntracked = true) {
+        const restThreshold = settings.sleepActivityThreshold ?? 5; // activity score counted as rest
+        const maxInterruption = settings.maxSleepInterruption ?? 15; // minutes of activity tolerated inside rest
+
+        const sorted = [...activityData].sort((a, b) => a.timestamp - b.timestamp);
+        const isRest = epoch => epoch.isGap ? includeUntracked :
+            (epoch.sleepState ? epoch.sleepState === 'sleep' : epoch.activityScore <= restThreshold);
+
+        // Collect rest intervals, optionally including the untracked time between epochs
+        const runs = [];
+        let current = null;
+
+        const addRest = (start, end) => {
+            if (end <= start) return;
+            if (current && start - current.end <= maxInterruption * 60 * 1000) {
+                current.end = Math.max(current.end, end);
+            } else {
+                if (current) runs.push(current);
+                current = { start, end };
+            }
+        };
+
+        sorted.forEach((epoch, i) => {
+            const epochEnd = epoch.timestamp + (epoch.epochDuration || 15) * 60 * 1000;
+
+            if (i > 0 && includeUntracked) {
+                const previous = sorted[i - 1];
+                const previousEnd = previous.timestamp + (previous.epochDuration || 15) * 60 * 1000;
+                addRest(previousEnd, epoch.timestamp);
+            }
+
+            if (isRest(epoch)) {
+                addRest(epoch.timestamp, epochEnd);
+            }
+        });
+        if (current) runs.push(current);
+
+        return runs.map(run => ({
+            start: run.start,
+            end: run.end,
+            duration: Math.round((run.end - run.start) / (60 * 1000))
+        }));
+    },
+
+    /**
+     * Detect naps: short daytime rest bouts outside the main sleep episodes
+     * Only recorded inactivity counts, so time with the browser closed is not mistaken for a nap
+     * @param {Array} activityData - Array of epoch objects
+     * @param {Object} settings - Analysis settings (minNapDuration, maxNapDuration, napWindowStart, napWindowEnd, dayStartHour)
+     * @param {Array} episodes - Main sleep episodes, detected from activityData if omitted
+     * @returns {Array} Naps { start, end, duration (minutes), day }
+     */
+    detectNaps(activityData, settings = {}, episodes = null) {
+        if (!activityData || activityData.length === 0) return [];
+
+        const minNapDuration = settings.minNapDuration || 20; // minutes
+        const maxNapDuration = settings.maxNapDuration || 120; // minutes
+        const napWindowStart = settings.napWindowStart ?? 9; // local hours in which a nap may be centred
+        const napWindowEnd = settings.napWindowEnd ?? 21;
+        const mainSleep = episodes || this.detectSleepEpisodes(activityData, settings);
+
+        return this.findRestRuns(activityData, settings, false)
+            .filter(run => run.duration >= minNapDuration && run.duration <= maxNapDuration)
+            .filter(run => !mainSleep.some(e => run.start < e.end && run.end > e.start))
+            .filter(run => {
+                const midpoint = new Date(run.start + (run.end - run.start) / 2);
+                const hour = midpoint.getHours() + midpoint.getMinutes() / 60;
+                return hour >= napWindowStart && hour < napWindowEnd;
+            })
+            .map(run => ({
+                ...run,
+                day: TimeUtils.getDayKey(run.start, settings.dayStartHour || 0)
+            }));
+    },
+
+    /**
+     * Count naps per day and per week
+     * Days with data but no naps count as zero
+     * @param {Array} naps - Naps from detectNaps
+     * @param {Array} activityData - Array of epoch objects, for the days covered
+     * @param {Object} settings - Analysis settings (dayStartHour)
+     * @returns {Object} { episodes, total, perDay, perWeek, avgPerDay, avgPerWeek, avgDuration }
+     */
+    summarizeNaps(naps, activityData, settings = {}) {
+        const dayStartHour = settings.dayStartHour || 0;
+        const perDayMap = new Map();
+
+        this.groupActivityByDay(activityData, dayStartHour).forEach(day => {
+            perDayMap.set(day.date, { date: day.date, count: 0, totalMinutes: 0 });
+        });
+        naps.forEach(nap => {
+            if (!perDayMap.has(nap.day)) {
+                perDayMap.set(nap.day, { date: nap.day, count: 0, totalMinutes: 0 });
+            }
+            const day = perDayMap.get(nap.day);
+            day.count++;
+            day.totalMinutes += nap.duration;
+        });
+
+        const perDay = Array.from(perDayMap.values()).sort((a, b) => a.date.localeCompare(b.date));
+
+        const perWeekMap = new Map();
+        perDay.forEach(day => {
+            const weekStart = TimeUtils.getWeekKey(TimeUtils.parseDateKey(day.date));
+            if (!perWeekMap.has(weekStart)) {
+                perWeekMap.set(weekStart, { weekStart, count: 0, totalMinutes: 0, days: 0 });
+            }
+            const week = perWeekMap.get(weekStart);
+            week.count += day.count;
+            week.totalMinutes += day.totalMinutes;
+            week.days++;
+        });
+
+        const total = naps.length;
+        const avgPerDay = perDay.length > 0 ? total / perDay.length : 0;
+
+        return {
+            episodes: naps,
+            total,
+            perDay,
+            perWeek: Array.from(perWeekMap.values()),
+            avgPerDay: Math.round(avgPerDay * 100) / 100,
+            avgPerWeek: Math.round(avgPerDay * 7 * 10) / 10,
+            avgDuration: total > 0 ? Math.round(naps.reduce((sum, nap) => sum + nap.duration, 0) / total) : 0
+        };
+    },
+
+    /**
+     * Track daily activity onset (end of main sleep) and offset (start of main sleep)
+     * Times are unwrapped into hours from the local midnight of a running day index, so a rhythm
+     * drifting past midnight keeps climbing instead of jumping back by 24h. Each series gets a
+     * Theil-Sen fit, which is not thrown off by a single late night.
+     * @param {Array} activityData - Array of epoch objects
+     * @param {Object} settings - Analysis settings
+     * @param {Array} episodes - Sleep episodes, detected from activityData if omitted
+     * @returns {Object|null} { referenceDate, onsets, offsets, onsetFit, offsetFit, onsetDrift, offsetDrift },
+     *   points { timestamp, day, hour }, fits { slope (h/day), intercept (h) }, drift in minutes/day
+     */
+    calculatePhaseTrajectory(activityData, settings = {}, episodes = null) {
+        if (!activityData || activityData.length === 0) return null;
+
+        // Main sleep per wake day
+        const mainSleep = new Map();
+        (episodes || this.detectSleepEpisodes(activityData, settings)).forEach(e => {
+            const longest = mainSleep.get(e.wakeDay);
+            if (!longest || e.duration > longest.duration) {
+                mainSleep.set(e.wakeDay, e);
+            }
+        });
+
+        const main = Array.from(mainSleep.values()).sort((a, b) => a.start - b.start);
+        if (main.length === 0) return null;
+
+        const referenceDate = TimeUtils.parseDateKey(TimeUtils.formatDateKey(new Date(main[0].start)));
+
+        // Local clock hours since the reference midnight (DST-safe)
+        const localHours = timestamp => {
+            const date = new Date(timestamp);
+            const days = Math.round((TimeUtils.parseDateKey(TimeUtils.formatDateKey(date)) - referenceDate) / (24 * 60 * 60 * 1000));
+            return days * 24 + date.getHours() + date.getMinutes() / 60;
+        };
+
+        // Assign each time to the day that keeps it closest to the previous point's clock time
+        const unwrap = timestamps => {
+            let previousHour = null;
+            return timestamps.map(timestamp => {
+                const hours = localHours(timestamp);
+                const day = previousHour === null
+                    ? Math.floor(hours / 24)
+                    : Math.round((hours - previousHour) / 24);
+                previousHour = hours - day * 24;
+                return { timestamp, day, hour: Math.round(previousHour * 100) / 100 };
+            });
+        };
+
+        const fit = points => {
+            if (points.length < 3) return null;
+            return StatsUtils.theilSenFit(points.map(p => p.day), points.map(p => p.hour));
+        };
+        const drift = line => line ? Math.round(line.slope * 60 * 10) / 10 : null;
+
+        const onsets = unwrap(main.map(e => e.end));
+        const offsets = unwrap(main.map(e => e.start));
+        const onsetFit = fit(onsets);
+        const offsetFit = fit(offsets);
+
+        return {
+            referenceDate: referenceDate.getTime(),
+            onsets,
+            offsets,
+            onsetFit,
+            offsetFit,
+            onsetDrift: drift(onsetFit),
+            offsetDrift: drift(offsetFit)
+        };
+    },
+
+    /**
+     * Get the timestamp of a point on a phase trajectory fit
+     * @param {number} referenceDate - referenceDate from calculatePhaseTrajectory
+     * @param {Object} line - { slope, intercept }
+     * @param {number} day - Day index
+     * @returns {number} Timestamp (ms)
+     */
+    getTrajectoryTime(referenceDate, line, day) {
+        const date = TimeUtils.addDays(new Date(referenceDate), day);
+        date.setHours(0, 0, 0, 0);
+        date.setMinutes(Math.round((line.intercept + line.slope * day) * 60));
+        return date.getTime();
+    },
+
+    /**
+     * Get the wake day an instant belongs to
+     * Wake days are local calendar dates; sleep counts for the date it ends on
+     * @param {number} timestamp - Time in milliseconds
+     * @returns {string} Local date key (YYYY-MM-DD)
+     */
+    getWakeDayKey(timestamp) {
+        return TimeUtils.getDayKey(timestamp);
+    },
+
+    /**
+     * Resolve a clock time on a wake day, the inverse of getWakeDayKey
+     * Used for the final wake time; the other diary times are resolved from it with getClockTimeFrom
+     * @param {string} wakeDay - Wake date key (YYYY-MM-DD)
+     * @param {string} clockTime - Local time "HH:MM"
+     * @returns {number|null} Time in milliseconds, or null for a malformed time
+     */
+    getWakeDayTime(wakeDay, clockTime) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(clockTime || '');
+        if (!match) return null;
+
+        const date = TimeUtils.parseDateKey(wakeDay);
+        date.setHours(Number(match[1]), Number(match[2]), 0, 0);
+        return date.getTime();
+    },
+
+    /**
+     * Resolve a clock time to its nearest occurrence on one side of a reference time
+     * Lights off at 04:00 before a 13:00 wake-up is the same day; at 23:00 before a 07:00 wake-up it is the evening before
+     * @param {number} reference - Time in milliseconds
+     * @param {string} clockTime - Local time "HH:MM"
+     * @param {number} direction - 1 for the first occurrence at or after the reference, -1 for the last at or before
+     * @returns {number|null} Time in milliseconds, or null for a malformed time or reference
+     */
+    getClockTimeFrom(reference, clockTime, direction = 1) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(clockTime || '');
+        if (!match || !Number.isFinite(reference)) return null;
+
+        const hours = Number(match[1]);
+        const minutes = Number(match[2]);
+        const date = new Date(reference);
+        date.setHours(hours, minutes, 0, 0);
+        if (direction > 0 ? date.getTime() < reference : date.getTime() > reference) {
+            // Step the calendar date rather than 24 hours so DST changes keep the clock time
+            date.setDate(date.getDate() + (direction > 0 ? 1 : -1));
+            date.setHours(hours, minutes, 0, 0);
+        }
+        return date.getTime();
+    },
+
+    /**
+     * Sleep window reported in a diary entry
+     * Sleep starts one onset latency after lights off and ends at the final wake time
+     * @param {Object} entry - Diary entry (see StorageManager.saveDiaryEntry)
+     * @returns {Object|null} { date, start, end, duration (minutes), inBedStart, inBedEnd, quality }
+     */
+    getDiarySleepWindow(entry) {
+        if (!entry || !entry.lightsOff || !entry.wakeTime) return null;
+
+        const start = entry.lightsOff + (entry.sleepOnsetLatency || 0) * 60 * 1000;
+        const end = entry.wakeTime;
+        if (end <= start) return null;
+
+        return {
+            date: entry.date,
+            start,
+            end,
+            duration: Math.round((end - start) / (60 * 1000)),
+            inBedStart: Math.min(entry.bedtime || entry.lightsOff, entry.lightsOff),
+            inBedEnd: Math.max(entry.outOfBed || end, end),
+            quality: entry.quality ?? null
+        };
+    },
+
+    /**
+     * Search sleep detection parameters for the best agreement with the sleep diary
+     * Candidates are scored by epoch-level balanced accuracy (mean of sensitivity and specificity),
+     * ties going to the smaller onset/offset error. The current settings are always a candidate,
+     * so the result is never worse than what is in use.
+     * @param {Array} diaryEntries - Diary entries (see StorageManager.saveDiaryEntry)
+     * @param {Array} activityData - Array of epoch objects
+     * @param {Object} settings - Current settings
+     * @returns {Object|null} { parameters, improved, nights, score, baselineScore, agreement },
+     *                        or null with fewer than MIN_CALIBRATION_NIGHTS diary nights that have data
+     */
+    calibrateSleepDetection(diaryEntries, activityData, settings = {}) {
+        if (!diaryEntries || !activityData || activityData.length === 0) return null;
+
+        // Stored labels come from the current threshold, so every candidate rescores from scratch
+        const unlabelled = activityData.map(({ sleepState, ...epoch }) => epoch);
+
+        const evaluate = parameters => {
+            const candidateSettings = { ...settings, ...parameters };
+            const labelled = this.classifySleepWake(unlabelled, candidateSettings);
+            const episodes = this.detectSleepEpisodes(labelled, candidateSettings);
+            const agreement = this.compareDiaryWithDetected(diaryEntries, labelled, candidateSettings, episodes);
+            if (!agreement) return null;
+
+            const { sensitivity, specificity } = agreement.epochAgreement;
+            const timingError = agreement.onsetError && agreement.offsetError
+                ? agreement.onsetError.meanAbsolute + agreement.offsetError.meanAbsolute
+                : Infinity;
+
+            return {
+                parameters,
+                nights: agreement.nights.length,
+                score: ((sensitivity ?? 0) + (specificity ?? 0)) / 2,
+                timingError,
+                agreement
+            };
+        };
+
+        const scoring = this.getSleepScoringOptions(settings);
+        const baseline = evaluate({
+            sleepScoringThreshold: scoring.threshold,
+            minSleepDuration: settings.minSleepDuration || 180,
+            maxSleepInterruption: settings.maxSleepInterruption ?? 15
+        });
+        if (!baseline || baseline.nights < this.MIN_CALIBRATION_NIGHTS) return null;
+
+        const grid = this.SLEEP_CALIBRATION_GRID;
+        let best = baseline;
+        grid.sleepScoringThreshold.forEach(sleepScoringThreshold => {
+            grid.minSleepDuration.forEach(minSleepDuration => {
+                grid.maxSleepInterruption.forEach(maxSleepInterruption => {
+                    const candidate = evaluate({ sleepScoringThreshold, minSleepDuration, maxSleepInterruption });
+                    if (candidate && (candidate.score > best.score + 1e-9 ||
+                        (Math.abs(candidate.score - best.score) <= 1e-9 && candidate.timingError < best.timingError))) {
+                        best = candidate;
+                    }
+                });
+            });
+        });
+
+        const round3 = value => Math.round(value * 1000) / 1000;
+        console.log('Sleep detection calibration:', best.parameters, 'score', best.score, 'baseline', baseline.score);
+
+        return {
+            parameters: best.parameters,
+            improved: best !== baseline,
+            nights: best.nights,
+            score: round3(best.score),
+            baselineScore: round3(baseline.score),
+            agreement: {
+                sensitivity: best.agreement.epochAgreement.sensitivity,
+                specificity: best.agreement.epochAgreement.specificity,
+                onsetError: best.agreement.onsetError,
+                offsetError: best.agreement.offsetError
+            }
+        };
+    },
+
+    /**
+     * Compare sleep diary entries with detected sleep, night by night
+     * Errors are detected minus diary, so a positive onset error means sleep was detected later than reported.
+     * Epoch agreement covers the 24 hours up to each night's final wake-up, on the grid used for the SRI
+     * @param {Array} diaryEntries - Diary entries (see StorageManager.saveDiaryEntry)
+     * @param {Array} activityData - Array of epoch objects
+     * @param {Object} settings - Analysis settings (epochDuration, sleep detection options)
+     * @param {Array} episodes - Sleep episodes from detectSleepEpisodes (detected when omitted)
+     * @returns {Object|null} { nights, matchedNights, onsetError, offsetError, totalSleepTime, epochAgreement },
+     *                        or null without diary nights that have recorded activity
+     */
+    compareDiaryWithDetected(diaryEntries, activityData, settings = {}, episodes = null) {
+        const windows = (diaryEntries || [])
+            .map(entry => this.getDiarySleepWindow(entry))
+            .filter(diaryWindow => diaryWindow !== null);
+        if (windows.length === 0 || !activityData || activityData.length === 0) return null;
+
+        const minuteMs = 60 * 1000;
+        if (!episodes) {
+            episodes = this.detectSleepEpisodes(this.classifySleepWake(activityData, settings, { keepExisting: true }), settings);
+        }
+
+        const series = this.buildSleepWakeSeries(activityData, episodes, settings.epochDuration || 15);
+        const binMs = series.binMinutes * minuteMs;
+        const counts = { truePositive: 0, falseNegative: 0, trueNegative: 0, falsePositive: 0 };
+
+        const nights = windows.map(diaryWindow => {
+            // Epoch-level states over the 24 hours up to the final wake-up of this night
+            const dayEnd = diaryWindow.end;
+            const dayStart = TimeUtils.addDays(new Date(dayEnd), -1).getTime();
+            const nightCounts = { truePositive: 0, falseNegative: 0, trueNegative: 0, falsePositive: 0 };
+            series.states.forEach((state, i) => {
+                const mid = series.startTime + (i + 0.5) * binMs;
+                if (state === null || mid < dayStart || mid >= dayEnd) return;
+
+                const diaryAsleep = mid >= diaryWindow.start && mid < diaryWindow.end;
+                if (diaryAsleep) {
+                    nightCounts[state === 1 ? 'truePositive' : 'falseNegative']++;
+                } else {
+                    nightCounts[state === 1 ? 'falsePositive' : 'trueNegative']++;
+                }
+            });
+
+            // Nights without recorded activity are left out
+            if (Object.values(nightCounts).every(count => count === 0)) return null;
+            Object.keys(counts).forEach(key => {
+                counts[key] += nightCounts[key];
+            });
+
+            const mainSleep = episodes
+                .filter(e => e.wakeDay === diaryWindow.date)
+                .reduce((longest, e) => !longest || e.duration > longest.duration ? e : longest, null);
+
+            return {
+                date: diaryWindow.date,
+                diaryOnset: diaryWindow.start,
+                diaryOffset: diaryWindow.end,
+                diaryTotalSleep: diaryWindow.duration,
+                detectedOnset: mainSleep ? mainSleep.start : null,
+                detectedOffset: mainSleep ? mainSleep.end : null,
+                detectedTotalSleep: mainSleep ? mainSleep.duration : null,
+                onsetError: mainSleep ? Math.round((mainSleep.start - diaryWindow.start) / minuteMs) : null,
+                offsetError: mainSleep ? Math.round((mainSleep.end - diaryWindow.end) / minuteMs) : null,
+                totalSleepDifference: mainSleep ? mainSleep.duration - diaryWindow.duration : null
+            };
+        }).filter(night => night !== null);
+
+        if (nights.length === 0) return null;
+
+        const matched = nights.filter(night => night.detectedOnset !== null);
+        const round1 = value => Math.round(value * 10) / 10;
+        const summarizeErrors = errors => errors.length === 0 ? null : {
+            mean: round1(errors.reduce((sum, e) => sum + e, 0) / errors.length),
+            meanAbsolute: round1(errors.reduce((sum, e) => sum + Math.abs(e), 0) / errors.length)
+        };
+        const average = values => values.length === 0 ? null : Math.round(values.reduce((sum, v) => sum + v, 0) / values.length);
+
+        const blandAltman = StatsUtils.blandAltman(
+            matched.map(night => night.detectedTotalSleep),
+            matched.map(night => night.diaryTotalSleep)
+        );
+
+        const ratio = (numerator, denominator) => denominator === 0 ? null : Math.round((numerator / denominator) * 1000) / 1000;
+        const { truePositive, falseNegative, trueNegative, falsePositive } = counts;
+        const epochs = truePositive + falseNegative + trueNegative + falsePositive;
+
+        return {
+            nights,
+            matchedNights: matched.length,
+            onsetError: summarizeErrors(matched.map(night => night.onsetError)),
+            offsetError: summarizeErrors(matched.map(night => night.offsetError)),
+            totalSleepTime: {
+                diaryMean: average(matched.map(night => night.diaryTotalSleep)),
+                detectedMean: average(matched.map(night => night.detectedTotalSleep)),
+                blandAltman: blandAltman && {
+                    n: blandAltman.n,
+                    bias: round1(blandAltman.bias),
+                    sd: round1(blandAltman.sd),
+                    lowerLimit: round1(blandAltman.lowerLimit),
+                    upperLimit: round1(blandAltman.upperLimit)
+                }
+            },
+            epochAgreement: {
+                epochs,
+                sensitivity: ratio(truePositive, truePositive + falseNegative),
+                specificity: ratio(trueNegative, trueNegative + falsePositive),
+                accuracy: ratio(truePositive + trueNegative, epochs)
+            }
+        };
+    },
+
+    /**
+     * Group activity data by wake day
+     * @param {Array} activityData - Array of epoch objects
+     * @returns {Array} Array of { date, epochs } sorted by date
+     */
+    groupActivityByWakeDay(activityData) {
+        const dailyMap = new Map();
+
+        activityData.forEach(epoch => {
+            const dateKey = this.getWakeDayKey(epoch.timestamp);
+            if (!dailyMap.has(dateKey)) {
+                dailyMap.set(dateKey, { date: dateKey, epochs: [] });
+            }
+            dailyMap.get(dateKey).epochs.push(epoch);
+        });
+
+        return Array.from(dailyMap.values())
+            .sort((a, b) => a.date.localeCompare(b.date));
     },
 
     /**
      * Group activity data by day
      * @param {Array} activityData - Array of epoch objects
+     * @param {number} dayStartHour - Local hour at which a day starts (0 = midnight)
      * @returns {Array} Array of daily data objects
      */
-    groupActivityByDay(activityData) {
+    groupActivityByDay(activityData, dayStartHour = 0) {
         console.log('Grouping activity data by day, length:', activityData ? activityData.length : 0);
         const dailyMap = new Map();
 
         activityData.forEach(epoch => {
-            const date = new Date(epoch.timestamp);
-            date.setHours(0, 0, 0, 0);
-            const dateKey = date.toISOString().split('T')[0];
+            const dateKey = TimeUtils.getDayKey(epoch.timestamp, dayStartHour);
 
             if (!dailyMap.has(dateKey)) {
                 dailyMap.set(dateKey, {
@@ -72,7 +745,7 @@ const AnalysisUtils = {
 
         // Convert to array and sort by date
         const result = Array.from(dailyMap.values())
-            .sort((a, b) => new Date(a.date) - new Date(b.date));
+            .sort((a, b) => a.date.localeCompare(b.date));
             
         console.log('Grouped daily data result length:', result.length);
         if (result.length > 0) {
@@ -83,54 +756,136 @@ const AnalysisUtils = {
     },
 
     /**
-     * Detect sleep period for a single day
-     * @param {Array} epochs - Epochs for a single day
-     * @param {Object} settings - Analysis settings
-     * @returns {Object|null} Sleep period details or null
+     * Build a regular grid of sleep (1) / wake (0) states
+     * Bins inside a sleep episode are sleep, other bins with a recorded epoch are wake,
+     * and bins with no data are unknown (null)
+     * @param {Array} activityData - Array of epoch objects
+     * @param {Array} episodes - Sleep episodes from detectSleepEpisodes
+     * @param {number} binMinutes - Grid resolution in minutes
+     * @returns {Object} { startTime, binMinutes, states }
      */
-    detectSleepPeriod(epochs, settings = {}) {
-        if (!epochs || epochs.length === 0) return null;
+    buildSleepWakeSeries(activityData, episodes, binMinutes = 15) {
+        const binMs = binMinutes * 60 * 1000;
+        const valid = (activityData || []).filter(e => !e.isGap && e.activityScore >= 0);
 
-        // Sort epochs by timestamp
-        epochs.sort((a, b) => a.timestamp - b.timestamp);
+        if (valid.length === 0) {
+            return { startTime: null, binMinutes, states: [] };
+        }
 
-        // For browser data, we look for gaps between activity as potential sleep periods
-        const minSleepDuration = settings.minSleepDuration || 180; // minutes (3 hours)
+        const startTime = Math.floor(valid.reduce((min, e) => Math.min(min, e.timestamp), Infinity) / binMs) * binMs;
+        const endTime = valid.reduce((max, e) =>
+            Math.max(max, e.timestamp + (e.epochDuration || binMinutes) * 60 * 1000), -Infinity);
+        const states = new Array(Math.max(1, Math.ceil((endTime - startTime) / binMs))).fill(null);
 
-        // Look for gaps between epochs that might indicate sleep
-        let longestGap = null;
-        
-        for (let i = 1; i < epochs.length; i++) {
-            const prevEpoch = epochs[i-1];
-            const currentEpoch = epochs[i];
-            
-            // Calculate gap between epochs
-            const gapMs = currentEpoch.timestamp - prevEpoch.timestamp;
-            const gapMinutes = gapMs / (1000 * 60);
-            
-            // If gap is significant, it might be sleep time
-            if (gapMinutes >= minSleepDuration) {
-                const gapPeriod = {
-                    start: prevEpoch.timestamp,
-                    end: currentEpoch.timestamp,
-                    duration: gapMinutes
-                };
-                
-                if (!longestGap || gapMinutes > longestGap.duration) {
-                    longestGap = gapPeriod;
-                }
+        valid.forEach(epoch => {
+            const first = Math.floor((epoch.timestamp - startTime) / binMs);
+            const covered = Math.max(1, Math.round((epoch.epochDuration || binMinutes) / binMinutes));
+            for (let i = first; i < first + covered && i < states.length; i++) {
+                states[i] = 0;
             }
+        });
+
+        (episodes || []).forEach(episode => {
+            const first = Math.max(0, Math.ceil((episode.start - startTime) / binMs - 0.5));
+            for (let i = first; i < states.length && startTime + (i + 0.5) * binMs < episode.end; i++) {
+                states[i] = 1;
+            }
+        });
+
+        return { startTime, binMinutes, states };
+    },
+
+    /**
+     * Calculate the Sleep Regularity Index (SRI)
+     * The probability of being in the same sleep/wake state at two time points 24h apart,
+     * scaled to -100 (random) ... 100 (perfectly regular)
+     * @param {Array} activityData - Array of epoch objects
+     * @param {Array} episodes - Sleep episodes from detectSleepEpisodes
+     * @param {Object} settings - Analysis settings (epochDuration, dayStartHour)
+     * @returns {Object|null} { sri, days, current7, current30, rolling7, rolling30, trend7 }, or null with under two days
+     */
+    calculateSleepRegularity(activityData, episodes, settings = {}) {
+        const binMinutes = settings.epochDuration || 15;
+        const binMs = binMinutes * 60 * 1000;
+        const series = this.buildSleepWakeSeries(activityData, episodes, binMinutes);
+        const { startTime, states } = series;
+        const lag = Math.round((24 * 60) / binMinutes);
+
+        if (states.length <= lag) {
+            return null;
         }
 
-        return longestGap;
+        // Prefix sums over pairs (i, i + 24h), so any window is O(1)
+        const pairCount = states.length - lag;
+        const known = new Array(pairCount + 1).fill(0);
+        const same = new Array(pairCount + 1).fill(0);
+        for (let i = 0; i < pairCount; i++) {
+            const a = states[i];
+            const b = states[i + lag];
+            const isKnown = a !== null && b !== null;
+            known[i + 1] = known[i] + (isKnown ? 1 : 0);
+            same[i + 1] = same[i] + (isKnown && a === b ? 1 : 0);
+        }
+
+        // Require at least a day's worth of comparable pairs
+        const sriBetween = (from, to) => {
+            const pairs = known[to] - known[from];
+            if (pairs < lag) return null;
+            return Math.round((200 * (same[to] - same[from]) / pairs - 100) * 10) / 10;
+        };
+
+        const sri = sriBetween(0, pairCount);
+        if (sri === null) {
+            return null;
+        }
+
+        // Rolling windows ending at each day boundary, only once a full window of data exists
+        const pairIndex = time => Math.max(0, Math.min(pairCount, Math.round((time - startTime) / binMs)));
+        const endTime = startTime + states.length * binMs;
+        const dayStartHour = settings.dayStartHour || 0;
+
+        const rolling = windowDays => {
+            const points = [];
+            for (let dayEnd = TimeUtils.addDays(TimeUtils.getDayStart(startTime, dayStartHour), 1);
+                dayEnd.getTime() <= endTime;
+                dayEnd = TimeUtils.addDays(dayEnd, 1)) {
+                const windowStart = TimeUtils.addDays(dayEnd, -windowDays).getTime();
+                if (windowStart < startTime) continue;
+
+                // Pairs whose second point still falls inside the window
+                const value = sriBetween(pairIndex(windowStart), pairIndex(dayEnd.getTime() - 24 * 60 * 60 * 1000));
+                if (value !== null) {
+                    points.push({ date: TimeUtils.getDayKey(dayEnd.getTime() - 1, dayStartHour), sri: value });
+                }
+            }
+            return points;
+        };
+
+        const rolling7 = rolling(7);
+        const rolling30 = rolling(30);
+        const trend7 = rolling7.length >= 3
+            ? Math.round(this.calculateTrend(rolling7.map(p => p.sri)).slope * 10) / 10
+            : null;
+
+        return {
+            sri,
+            days: Math.round((states.length * binMinutes) / (24 * 60) * 10) / 10,
+            current7: rolling7.length > 0 ? rolling7[rolling7.length - 1].sri : null,
+            current30: rolling30.length > 0 ? rolling30[rolling30.length - 1].sri : null,
+            rolling7,
+            rolling30,
+            trend7 // SRI points per day
+        };
     },
 
     /**
      * Calculate sleep summary statistics
+     * Clock times are averaged as hours after noon, so 23:30 and 00:30 average to midnight
      * @param {Array} cycles - Sleep cycle data
+     * @param {Object} sleepRegularity - Result of calculateSleepRegularity (may be null)
      * @returns {Object} Summary statistics
      */
-    calculateSleepSummary(cycles) {
+    calculateSleepSummary(cycles, sleepRegularity = null) {
         if (!cycles || cycles.length === 0) {
             return {};
         }
@@ -142,16 +897,16 @@ const AnalysisUtils = {
             return { totalDays: cycles.length };
         }
 
-        // Calculate sleep start/end times
-        const sleepStartHours = validCycles.map(cycle => {
-            const start = new Date(cycle.sleepStart);
-            return start.getHours() + start.getMinutes() / 60;
-        });
+        // Hours after noon, so times on either side of midnight stay contiguous
+        const toHoursAfterNoon = timestamp => {
+            const date = new Date(timestamp);
+            return (date.getHours() + date.getMinutes() / 60 + 12) % 24;
+        };
+        const toClock = hoursAfterNoon => (hoursAfterNoon + 12) % 24;
 
-        const wakeHours = validCycles.map(cycle => {
-            const end = new Date(cycle.sleepEnd);
-            return end.getHours() + end.getMinutes() / 60;
-        });
+        // Calculate sleep start/end times
+        const sleepStartHours = validCycles.map(cycle => toHoursAfterNoon(cycle.sleepStart));
+        const wakeHours = validCycles.map(cycle => toHoursAfterNoon(cycle.sleepEnd));
 
         // Calculate average sleep duration
         const avgSleepDuration = validCycles.reduce((sum, cycle) =>
@@ -161,14 +916,16 @@ const AnalysisUtils = {
         const sleepStartMean = sleepStartHours.reduce((a, b) => a + b, 0) / sleepStartHours.length;
         const sleepStartVariance = sleepStartHours.reduce((sum, hour) =>
             sum + Math.pow(hour - sleepStartMean, 2), 0) / sleepStartHours.length;
+        const wakeMean = wakeHours.reduce((a, b) => a + b, 0) / wakeHours.length;
 
         return {
             totalDays: cycles.length,
             daysWithSleepData: validCycles.length,
             avgSleepDuration: Math.round(avgSleepDuration),
-            avgSleepStart: sleepStartMean,
-            avgWakeTime: wakeHours.reduce((a, b) => a + b, 0) / wakeHours.length,
-            sleepRegularity: Math.sqrt(sleepStartVariance), // Lower is more regular
+            avgSleepStart: toClock(sleepStartMean),
+            avgWakeTime: toClock(wakeMean),
+            sleepRegularityIndex: sleepRegularity ? sleepRegularity.sri : null, // -100 to 100, higher is more regular
+            sleepOnsetSD: Math.sqrt(sleepStartVariance), // Hours, lower is more regular
             regularity: validCycles.length / cycles.length // Data completeness
         };
     },
@@ -176,15 +933,16 @@ const AnalysisUtils = {
     /**
      * Analyze trends in activity data
      * @param {Array} activityData - Array of epoch objects
+     * @param {Object} settings - User settings (dayStartHour)
      * @returns {Object} Trend analysis results
      */
-    analyzeTrends(activityData) {
+    analyzeTrends(activityData, settings = {}) {
         if (!activityData || activityData.length === 0) {
             return { trends: {}, patterns: [] };
         }
 
         // Group by day and calculate daily metrics
-        const dailyData = this.groupActivityByDay(activityData).map(day => {
+        const dailyData = this.groupActivityByDay(activityData, settings.dayStartHour || 0).map(day => {
             const totalEpochs = day.epochs.length;
             const activeEpochs = day.epochs.filter(e => e.activityScore > 20).length;
             const veryActiveEpochs = day.epochs.filter(e => e.activityScore > 80).length;
@@ -229,12 +987,90 @@ const AnalysisUtils = {
             magnitude: Math.abs(veryActiveTrend.slope)
         };
 
-        // Identify patterns (e.g., weekday vs weekend)
-        const patterns = this.identifyPatterns(dailyData);
+        // Identify patterns (e.g., work days vs free days)
+        const patterns = this.identifyPatterns(dailyData, settings);
 
         return { trends, patterns };
     },
 
+    /**
+     * Compare mean activity over the last 7 days with the 7 days before
+     * @param {Array} activityData - Array of epoch objects
+     * @param {number} referenceTime - End of the current week (defaults to the latest epoch)
+     * @returns {Object|null} { current, previous, changePercent }, or null if either week has under a day of data
+     */
+    calculateWeekOverWeek(activityData, referenceTime = null) {
+        const valid = (activityData || []).filter(e => !e.isGap && e.activityScore >= 0);
+        if (valid.length === 0) return null;
+
+        const weekMs = 7 * 24 * 60 * 60 * 1000;
+        const end = referenceTime || valid.reduce((max, e) => Math.max(max, e.timestamp), -Infinity) + 1;
+
+        const summarize = (from, to) => {
+            let weightedSum = 0;
+            let minutes = 0;
+            valid.forEach(epoch => {
+                if (epoch.timestamp < from || epoch.timestamp >= to) return;
+                const duration = epoch.epochDuration || 15;
+                weightedSum += epoch.activityScore * duration;
+                minutes += duration;
+            });
+            return minutes >= 24 * 60 ? weightedSum / minutes : null;
+        };
+
+        const current = summarize(end - weekMs, end);
+        const previous = summarize(end - 2 * weekMs, end - weekMs);
+
+        if (current === null || previous === null || previous === 0) {
+            return null;
+        }
+
+        return {
+            current: Math.round(current * 10) / 10,
+            previous: Math.round(previous * 10) / 10,
+            changePercent: Math.round(((current - previous) / previous) * 100)
+        };
+    },
+
+    /**
+     * Find the most active windows in an hourly activity profile
+     * @param {Array} hourlyPatterns - Average activity by hour (0-23)
+     * @param {number} windowHours - Window length in hours
+     * @param {number} count - Maximum number of non-overlapping windows
+     * @returns {Array} Windows { startHour, endHour, mean } sorted by mean, above the daily mean only
+     */
+    findPeakWindows(hourlyPatterns, windowHours = 2, count = 2) {
+        if (!hourlyPatterns || hourlyPatterns.length !== 24) return [];
+
+        const dailyMean = hourlyPatterns.reduce((a, b) => a + b, 0) / 24;
+        if (dailyMean === 0) return [];
+
+        const candidates = [];
+        for (let start = 0; start < 24; start++) {
+            let sum = 0;
+            for (let i = 0; i < windowHours; i++) {
+                sum += hourlyPatterns[(start + i) % 24];
+            }
+            candidates.push({ startHour: start, endHour: (start + windowHours) % 24, mean: sum / windowHours });
+        }
+        candidates.sort((a, b) => b.mean - a.mean);
+
+        // Greedily take the best windows that don't overlap an earlier pick
+        const overlaps = (a, b) => {
+            const distance = Math.abs(a.startHour - b.startHour);
+            return Math.min(distance, 24 - distance) < windowHours;
+        };
+
+        const windows = [];
+        for (const candidate of candidates) {
+            if (windows.length >= count || candidate.mean <= dailyMean) break;
+            if (windows.some(w => overlaps(w, candidate))) continue;
+            windows.push({ ...candidate, mean: Math.round(candidate.mean) });
+        }
+
+        return windows;
+    },
+
     /**
      * Calculate linear trend using least squares regression
      * @param {Array} values - Array of values
@@ -264,42 +1100,34 @@ const AnalysisUtils = {
     /**
      * Identify patterns in daily data
      * @param {Array} dailyData - Daily activity metrics
+     * @param {Object} settings - User settings (workCalendar)
      * @returns {Array} Pattern objects
      */
-    identifyPatterns(dailyData) {
+    identifyPatterns(dailyData, settings = {}) {
         if (!dailyData || dailyData.length === 0) {
             return [];
         }
 
-        // Weekday vs weekend pattern
-        const weekdays = dailyData.filter(day => {
-            const date = new Date(day.date);
-            const dayOfWeek = date.getDay();
-            return dayOfWeek > 0 && dayOfWeek < 6; // Monday-Friday
-        });
+        // Work day vs free day pattern (weekdays vs weekends in the default calendar)
+        const workDays = dailyData.filter(day => !this.isFreeDay(TimeUtils.parseDateKey(day.date), settings));
+        const freeDays = dailyData.filter(day => this.isFreeDay(TimeUtils.parseDateKey(day.date), settings));
 
-        const weekends = dailyData.filter(day => {
-            const date = new Date(day.date);
-            const dayOfWeek = date.getDay();
-            return dayOfWeek === 0 || dayOfWeek === 6; // Sunday or Saturday
-        });
-
-        const avgWeekdayActivity = weekdays.reduce((sum, day) =>
-            sum + day.avgActivity, 0) / (weekdays.length || 1);
+        const avgWorkDayActivity = workDays.reduce((sum, day) =>
+            sum + day.avgActivity, 0) / (workDays.length || 1);
 
-        const avgWeekendActivity = weekends.reduce((sum, day) =>
-            sum + day.avgActivity, 0) / (weekends.length || 1);
+        const avgFreeDayActivity = freeDays.reduce((sum, day) =>
+            sum + day.avgActivity, 0) / (freeDays.length || 1);
 
         const patterns = [];
 
-        if (weekdays.length > 0 && weekends.length > 0) {
+        if (workDays.length > 0 && freeDays.length > 0) {
             patterns.push({
                 type: 'weekday_vs_weekend',
-                description: avgWeekdayActivity > avgWeekendActivity
-                    ? 'More active on weekdays than weekends'
-                    : 'More active on weekends than weekdays',
-                weekdayAvg: Math.round(avgWeekdayActivity),
-                weekendAvg: Math.round(avgWeekendActivity)
+                description: avgWorkDayActivity > avgFreeDayActivity
+                    ? 'More active on work days than free days'
+                    : 'More active on free days than work days',
+                weekdayAvg: Math.round(avgWorkDayActivity),
+                weekendAvg: Math.round(avgFreeDayActivity)
             });
         }
 
@@ -309,32 +1137,41 @@ const AnalysisUtils = {
     /**
      * Analyze circadian rhythms and chronotype
      * @param {Array} activityData - Array of epoch objects
+     * @param {Object} settings - User settings (dayStartHour)
      * @returns {Object} Circadian rhythm analysis results
      */
-    analyzeCircadianRhythms(activityData) {
+    analyzeCircadianRhythms(activityData, settings = {}) {
         if (!activityData || activityData.length === 0) {
             return { chronotype: null, rhythmStability: null, socialJetlag: null };
         }
 
         // Group data by day
-        const dailyData = this.groupActivityByDay(activityData);
+        const dailyData = this.groupActivityByDay(activityData, settings.dayStartHour || 0);
 
         // Calculate hourly activity patterns
         const hourlyPatterns = this.calculateHourlyPatterns(dailyData);
 
+        // Fit cosinor models for a defensible phase marker and its drift
+        const cosinor = this.fitCosinor(activityData);
+        const rollingCosinor = this.calculateRollingCosinor(activityData);
+
         // Detect chronotype
-        const chronotype = this.detectChronotype(hourlyPatterns);
+        const chronotype = this.detectChronotype(hourlyPatterns, cosinor);
 
         // Calculate rhythm stability
         const rhythmStability = this.calculateRhythmStability(dailyData);
 
-        // Calculate social jetlag
-        const socialJetlag = this.calculateSocialJetlag(dailyData);
+        // Calculate standard non-parametric actigraphy measures
+        const nonParametric = this.calculateNonParametricMetrics(activityData);
 
         return {
             chronotype,
+            hourlyPatterns,
             rhythmStability,
-            socialJetlag
+            socialJetlag: null, // needs the sleep cycles, filled in by detectSleepWakeCycles
+            nonParametric,
+            cosinor,
+            rollingCosinor
         };
     },
 
@@ -351,6 +1188,8 @@ const AnalysisUtils = {
         // Process each day's data
         dailyData.forEach(day => {
             day.epochs.forEach(epoch => {
+                if (epoch.isGap || epoch.activityScore < 0) return; // Missing data, not inactivity
+
                 const date = new Date(epoch.timestamp);
                 const hour = date.getHours();
 
@@ -369,10 +1208,13 @@ const AnalysisUtils = {
 
     /**
      * Detect chronotype based on activity patterns
+     * Uses the cosinor acrophase as the phase marker when the fit is significant,
+     * falling back to the peak hourly average
      * @param {Array} hourlyPatterns - Average activity by hour
+     * @param {Object} cosinor - Optional result of fitCosinor
      * @returns {Object} Chronotype information
      */
-    detectChronotype(hourlyPatterns) {
+    detectChronotype(hourlyPatterns, cosinor = null) {
         if (!hourlyPatterns || hourlyPatterns.length !== 24) {
             return null;
         }
@@ -388,12 +1230,15 @@ const AnalysisUtils = {
             }
         }
 
-        // Classify chronotype based on peak hour
+        const useAcrophase = !!(cosinor && cosinor.significant);
+        const phaseHour = useAcrophase ? cosinor.acrophase : peakHour;
+
+        // Classify chronotype based on the phase marker
         let type, description;
-        if (peakHour >= 4 && peakHour < 11) {
+        if (phaseHour >= 4 && phaseHour < 11) {
             type = 'morning';
             description = 'Morning person (Lark)';
-        } else if (peakHour >= 11 && peakHour < 17) {
+        } else if (phaseHour >= 11 && phaseHour < 17) {
             type = 'intermediate';
             description = 'Intermediate chronotype';
         } else {
@@ -405,7 +1250,109 @@ const AnalysisUtils = {
             type,
             description,
             peakHour,
-            peakActivity: Math.round(maxActivity)
+            peakActivity: Math.round(maxActivity),
+            acrophase: useAcrophase ? cosinor.acrophase : null,
+            phaseMarker: useAcrophase ? 'acrophase' : 'peakHour'
+        };
+    },
+
+    /**
+     * Get the work calendar from settings
+     * @param {Object} settings - User settings (workCalendar)
+     * @returns {Object} { freeDays: weekday numbers (0 = Sunday), overrides: [{ start, end, type }] }
+     */
+    getWorkCalendar(settings = {}) {
+        const calendar = settings.workCalendar || {};
+        return {
+            freeDays: calendar.freeDays || this.DEFAULT_FREE_DAYS,
+            overrides: calendar.overrides || []
+        };
+    },
+
+    /**
+     * Check whether a date is a free (work-free) day
+     * Date overrides take precedence over the weekly template; the last matching override wins
+     * @param {Date} date - Local date
+     * @param {Object} settings - User settings (workCalendar)
+     * @returns {boolean} True for a free day
+     */
+    isFreeDay(date, settings = {}) {
+        const calendar = this.getWorkCalendar(settings);
+        const dateKey = TimeUtils.formatDateKey(date);
+
+        for (let i = calendar.overrides.length - 1; i >= 0; i--) {
+            const override = calendar.overrides[i];
+            if (dateKey >= override.start && dateKey <= (override.end || override.start)) {
+                return override.type === 'free';
+            }
+        }
+
+        return calendar.freeDays.includes(date.getDay());
+    },
+
+    /**
+     * Calculate mid-sleep on free days corrected for sleep debt (MSFsc, Munich Chronotype Questionnaire)
+     * Nights are split by whether the wake-up date is a free day. When free-day sleep is longer than work-day sleep,
+     * MSF is moved earlier by half the oversleep relative to the weekly average: MSFsc = MSF - (SDf - SDweek) / 2
+     * @param {Array} cycles - Sleep cycles from detectSleepWakeCycles
+     * @param {Object} settings - User settings (workCalendar)
+     * @returns {Object|null} MSFsc and its inputs (clock hours, durations in minutes), or null with too few nights
+     */
+    calculateMSFsc(cycles, settings = {}) {
+        const nights = (cycles || []).filter(c => c.sleepStart && c.sleepEnd);
+        const freeNights = nights.filter(c => this.isFreeDay(c.date, settings));
+        const workNights = nights.filter(c => !this.isFreeDay(c.date, settings));
+
+        if (freeNights.length < this.MIN_MSF_NIGHTS || workNights.length < this.MIN_MSF_NIGHTS) {
+            return null;
+        }
+
+        // Mid-sleep in hours after noon, so nights crossing midnight average correctly
+        const average = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+        const midSleep = c => {
+            const mid = new Date((c.sleepStart + c.sleepEnd) / 2);
+            return (mid.getHours() + mid.getMinutes() / 60 + 12) % 24;
+        };
+        const toClock = hoursAfterNoon => (hoursAfterNoon + 12) % 24;
+
+        const msf = average(freeNights.map(midSleep));
+        const msw = average(workNights.map(midSleep));
+        const sleepDurationFree = average(freeNights.map(c => c.sleepDuration)) / 60;
+        const sleepDurationWork = average(workNights.map(c => c.sleepDuration)) / 60;
+
+        // Weekly average sleep duration weighted by the number of work and free days per week
+        const freeDaysPerWeek = this.getWorkCalendar(settings).freeDays.length;
+        const sleepDurationWeek = (sleepDurationWork * (7 - freeDaysPerWeek) + sleepDurationFree * freeDaysPerWeek) / 7;
+
+        const corrected = sleepDurationFree > sleepDurationWork;
+        const msfsc = corrected ? msf - (sleepDurationFree - sleepDurationWeek) / 2 : msf;
+
+        // Population mid-sleep on free days is around 04:00; earlier than 03:00 is early, 05:00 or later is late
+        let type, description;
+        if (msfsc < 15) {
+            type = 'morning';
+            description = 'Early chronotype (Lark)';
+        } else if (msfsc < 17) {
+            type = 'intermediate';
+            description = 'Intermediate chronotype';
+        } else {
+            type = 'evening';
+            description = 'Late chronotype (Owl)';
+        }
+
+        const round = value => Math.round(value * 100) / 100;
+        return {
+            msfsc: round(toClock(msfsc)),
+            msf: round(toClock(msf)),
+            msw: round(toClock(msw)),
+            sleepDurationFree: Math.round(sleepDurationFree * 60),
+            sleepDurationWork: Math.round(sleepDurationWork * 60),
+            sleepDurationWeek: Math.round(sleepDurationWeek * 60),
+            corrected,
+            freeNights: freeNights.length,
+            workNights: workNights.length,
+            type,
+            description
         };
     },
 
@@ -467,94 +1414,481 @@ const AnalysisUtils = {
     },
 
     /**
-     * Calculate social jetlag (difference between weekday and weekend sleep timing)
-     * @param {Array} dailyData - Daily activity data
-     * @returns {Object} Social jetlag metrics
+     * Resample epochs into consecutive hourly means
+     * Gap epochs (activityScore -1) and hours without data are left as null
+     * @param {Array} activityData - Array of epoch objects
+     * @returns {Array} Array of { time, hour, value } objects, one per clock hour
      */
-    calculateSocialJetlag(dailyData) {
-        if (!dailyData || dailyData.length < 7) {
-            return null; // Need at least a week of data
+    buildHourlySeries(activityData) {
+        const hourMs = 60 * 60 * 1000;
+        const valid = activityData.filter(e => !e.isGap && e.activityScore >= 0);
+
+        if (valid.length === 0) {
+            return [];
         }
 
-        // Separate weekdays and weekends
-        const weekdays = dailyData.filter(day => {
-            const date = new Date(day.date);
-            const dayOfWeek = date.getDay();
-            return dayOfWeek > 0 && dayOfWeek < 6; // Monday-Friday
+        // Align bins to local hours (not UTC hours, which differ in half-hour zones)
+        const firstHour = new Date(valid.reduce((min, e) => Math.min(min, e.timestamp), Infinity));
+        firstHour.setMinutes(0, 0, 0);
+        const startTime = firstHour.getTime();
+        const endTime = valid.reduce((max, e) => Math.max(max, e.timestamp), -Infinity);
+        const hourCount = Math.floor((endTime - startTime) / hourMs) + 1;
+
+        const sums = new Array(hourCount).fill(0);
+        const weights = new Array(hourCount).fill(0);
+
+        valid.forEach(epoch => {
+            // Spread each epoch over the hours it covers, weighted by overlap
+            const epochStart = epoch.timestamp;
+            const epochEnd = epochStart + (epoch.epochDuration || 15) * 60 * 1000;
+
+            let index = Math.floor((epochStart - startTime) / hourMs);
+            while (index < hourCount && startTime + index * hourMs < epochEnd) {
+                const binStart = startTime + index * hourMs;
+                const overlap = Math.min(epochEnd, binStart + hourMs) - Math.max(epochStart, binStart);
+                if (overlap > 0) {
+                    sums[index] += epoch.activityScore * overlap;
+                    weights[index] += overlap;
+                }
+                index++;
+            }
         });
 
-        const weekends = dailyData.filter(day => {
-            const date = new Date(day.date);
-            const dayOfWeek = date.getDay();
-            return dayOfWeek === 0 || dayOfWeek === 6; // Sunday or Saturday
+        return sums.map((sum, i) => {
+            const time = startTime + i * hourMs;
+            return {
+                time,
+                hour: new Date(time).getHours(),
+                value: weights[i] > 0 ? sum / weights[i] : null
+            };
         });
+    },
 
-        if (weekdays.length < 3 || weekends.length < 2) {
-            return null; // Need sufficient data for both
+    /**
+     * Calculate non-parametric circadian rhythm metrics (van Someren et al.)
+     * IS: interdaily stability, IV: intradaily variability, RA: relative amplitude,
+     * L5/M10: least active 5 and most active 10 hours of the average day
+     * @param {Array} activityData - Array of epoch objects
+     * @returns {Object|null} Metrics, or null if there are fewer than 2 days of data
+     */
+    calculateNonParametricMetrics(activityData) {
+        if (!activityData || activityData.length === 0) {
+            return null;
         }
 
-        // Detect sleep midpoints for weekdays and weekends
-        const weekdaySleep = this.detectAverageSleepMidpoint(weekdays);
-        const weekendSleep = this.detectAverageSleepMidpoint(weekends);
+        const series = this.buildHourlySeries(activityData);
+        const valid = series.filter(s => s.value !== null);
 
-        if (!weekdaySleep || !weekendSleep) {
-            return null;
+        if (valid.length < 48) {
+            return null; // Need at least two days of hourly data
+        }
+
+        const n = valid.length;
+        const mean = valid.reduce((sum, s) => sum + s.value, 0) / n;
+        const totalVariance = valid.reduce((sum, s) => sum + Math.pow(s.value - mean, 2), 0);
+
+        // Average 24-hour profile
+        const hourlyTotals = Array(24).fill(0);
+        const hourlyCounts = Array(24).fill(0);
+        valid.forEach(s => {
+            hourlyTotals[s.hour] += s.value;
+            hourlyCounts[s.hour]++;
+        });
+        const profile = hourlyTotals.map((total, hour) =>
+            hourlyCounts[hour] > 0 ? total / hourlyCounts[hour] : null);
+
+        // Interdaily stability: variance of the 24h profile relative to total variance
+        let interdailyStability = null;
+        if (totalVariance > 0) {
+            let profileVariance = 0;
+            for (let hour = 0; hour < 24; hour++) {
+                if (profile[hour] === null) continue;
+                profileVariance += hourlyCounts[hour] * Math.pow(profile[hour] - mean, 2);
+            }
+            interdailyStability = profileVariance / totalVariance;
         }
 
-        // Calculate social jetlag (absolute difference in hours)
-        const jetlagHours = Math.abs(weekendSleep.midpoint - weekdaySleep.midpoint);
+        // Intradaily variability: hour-to-hour changes, only across consecutive valid hours
+        let intradailyVariability = null;
+        if (totalVariance > 0) {
+            let successiveSquares = 0;
+            let pairs = 0;
+            for (let i = 1; i < series.length; i++) {
+                if (series[i].value === null || series[i - 1].value === null) continue;
+                successiveSquares += Math.pow(series[i].value - series[i - 1].value, 2);
+                pairs++;
+            }
+            if (pairs > 0) {
+                intradailyVariability = (successiveSquares / pairs) / (totalVariance / n);
+            }
+        }
+
+        // L5 and M10 over the circular 24h profile
+        const l5 = this.findActivityWindow(profile, 5, 'min');
+        const m10 = this.findActivityWindow(profile, 10, 'max');
+
+        let relativeAmplitude = null;
+        if (l5 && m10 && (m10.value + l5.value) > 0) {
+            relativeAmplitude = (m10.value - l5.value) / (m10.value + l5.value);
+        }
+
+        const round = (value, decimals) => value === null ? null :
+            Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
 
         return {
-            jetlagHours: Math.round(jetlagHours * 10) / 10,
-            weekdayMidpoint: weekdaySleep.midpoint,
-            weekendMidpoint: weekendSleep.midpoint,
-            description: jetlagHours < 2 ? 'Well-aligned schedule with minimal social jetlag' :
-                        jetlagHours < 4 ? 'Moderate social jetlag - consider consistent sleep times' :
-                        'Significant social jetlag - large difference between weekday/weekend schedules'
+            interdailyStability: round(interdailyStability, 3),
+            intradailyVariability: round(intradailyVariability, 3),
+            relativeAmplitude: round(relativeAmplitude, 3),
+            l5: l5 ? { value: round(l5.value, 1), onsetHour: l5.onsetHour } : null,
+            m10: m10 ? { value: round(m10.value, 1), onsetHour: m10.onsetHour } : null,
+            validHours: n,
+            days: Math.round((n / 24) * 10) / 10
         };
     },
 
     /**
-     * Detect average sleep midpoint for a group of days
-     * @param {Array} days - Array of daily data
-     * @returns {Object} Sleep midpoint information
+     * Find the least or most active window of consecutive hours in a 24h profile
+     * The profile is treated as circular so windows can span midnight
+     * @param {Array} profile - Average activity for each hour (0-23), null for missing hours
+     * @param {number} length - Window length in hours
+     * @param {string} mode - 'min' or 'max'
+     * @returns {Object|null} { value, onsetHour }
      */
-    detectAverageSleepMidpoint(days) {
-        if (!days || days.length === 0) {
+    findActivityWindow(profile, length, mode) {
+        let best = null;
+
+        for (let onset = 0; onset < 24; onset++) {
+            let sum = 0;
+            let count = 0;
+            for (let offset = 0; offset < length; offset++) {
+                const value = profile[(onset + offset) % 24];
+                if (value === null) continue;
+                sum += value;
+                count++;
+            }
+            if (count === 0) continue;
+
+            const value = sum / count;
+            if (!best || (mode === 'min' ? value < best.value : value > best.value)) {
+                best = { value, onsetHour: onset };
+            }
+        }
+
+        return best;
+    },
+
+    /**
+     * Fit a single- or multi-component cosinor model by least squares
+     * y(t) = MESOR + sum of A_k * cos(2*pi*t / P_k - theta_k), fitted on hourly means
+     * @param {Array} activityData - Array of epoch objects
+     * @param {Object} options - { periods: [24], alpha: 0.05 }
+     * @returns {Object|null} Fit results, or null if there is not enough data
+     */
+    fitCosinor(activityData, options = {}) {
+        const periods = options.periods || [24];
+        const alpha = options.alpha || 0.05;
+
+        if (!activityData || activityData.length === 0) {
             return null;
         }
 
-        // Detect sleep periods for each day
-        const sleepPeriods = days.map(day => {
-            return this.detectSleepPeriod(day.epochs);
-        }).filter(period => period !== null);
+        const series = this.buildHourlySeries(activityData).filter(s => s.value !== null);
+        const parameterCount = 1 + 2 * periods.length;
+
+        if (series.length < Math.max(24, parameterCount + 2)) {
+            return null; // Need at least a day of hourly data
+        }
+
+        // Hours since local midnight of the first day, so acrophases read as clock times
+        const reference = new Date(series[0].time);
+        reference.setHours(0, 0, 0, 0);
+        const hourMs = 60 * 60 * 1000;
+
+        const design = series.map(s => {
+            const t = (s.time - reference.getTime()) / hourMs + 0.5; // Centre of the hour
+            const row = [1];
+            periods.forEach(period => {
+                const omega = (2 * Math.PI) / period;
+                row.push(Math.cos(omega * t), Math.sin(omega * t));
+            });
+            return row;
+        });
+        const y = series.map(s => s.value);
+
+        // Normal equations: (X'X) b = X'y
+        const xtx = Array.from({ length: parameterCount }, () => Array(parameterCount).fill(0));
+        const xty = Array(parameterCount).fill(0);
+        design.forEach((row, i) => {
+            for (let a = 0; a < parameterCount; a++) {
+                xty[a] += row[a] * y[i];
+                for (let b = 0; b < parameterCount; b++) {
+                    xtx[a][b] += row[a] * row[b];
+                }
+            }
+        });
 
-        if (sleepPeriods.length === 0) {
+        const inverse = StatsUtils.invertMatrix(xtx);
+        if (!inverse) {
             return null;
         }
 
-        // Calculate midpoints for each sleep period
-        const midpoints = sleepPeriods.map(period => {
-            const start = new Date(period.start);
-            const end = new Date(period.end);
+        const coefficients = inverse.map(row => row.reduce((sum, value, j) => sum + value * xty[j], 0));
+
+        const n = y.length;
+        const mean = y.reduce((a, b) => a + b, 0) / n;
+        let residualSquares = 0;
+        let totalSquares = 0;
+        design.forEach((row, i) => {
+            const fitted = row.reduce((sum, value, j) => sum + value * coefficients[j], 0);
+            residualSquares += Math.pow(y[i] - fitted, 2);
+            totalSquares += Math.pow(y[i] - mean, 2);
+        });
+
+        const residualDf = n - parameterCount;
+        const residualVariance = residualSquares / residualDf;
+        const tCritical = StatsUtils.tQuantile(1 - alpha / 2, residualDf);
+
+        const components = periods.map((period, k) => {
+            const omega = (2 * Math.PI) / period;
+            const beta = coefficients[1 + 2 * k];
+            const gamma = coefficients[2 + 2 * k];
+            const amplitude = Math.sqrt(beta * beta + gamma * gamma);
+            const theta = Math.atan2(gamma, beta);
+            const acrophase = (((theta / omega) % period) + period) % period;
+
+            // Delta-method standard errors from the coefficient covariance matrix
+            const varBeta = residualVariance * inverse[1 + 2 * k][1 + 2 * k];
+            const varGamma = residualVariance * inverse[2 + 2 * k][2 + 2 * k];
+            const covariance = residualVariance * inverse[1 + 2 * k][2 + 2 * k];
+
+            const amplitudeSe = amplitude > 0 ? Math.sqrt(Math.max(0,
+                beta * beta * varBeta + gamma * gamma * varGamma + 2 * beta * gamma * covariance)) / amplitude : 0;
+            const thetaSe = amplitude > 0 ? Math.sqrt(Math.max(0,
+                gamma * gamma * varBeta + beta * beta * varGamma - 2 * beta * gamma * covariance)) / (amplitude * amplitude) : 0;
+
+            const amplitudeMargin = tCritical * amplitudeSe;
+            const acrophaseMargin = (tCritical * thetaSe) / omega;
+
+            return {
+                period,
+                amplitude,
+                acrophase,
+                confidenceIntervals: {
+                    amplitude: [Math.max(0, amplitude - amplitudeMargin), amplitude + amplitudeMargin],
+                    // Acrophase is undefined when the amplitude CI includes zero
+                    acrophase: amplitudeMargin < amplitude
+                        ? [((acrophase - acrophaseMargin) % period + period) % period, (acrophase + acrophaseMargin) % period]
+                        : null
+                }
+            };
+        });
+
+        // Zero-amplitude F test
+        const modelSquares = Math.max(0, totalSquares - residualSquares);
+        const fStatistic = (modelSquares / (2 * periods.length)) / residualVariance;
+        const pValue = StatsUtils.fDistributionPValue(fStatistic, 2 * periods.length, residualDf);
+
+        const mesorMargin = tCritical * Math.sqrt(residualVariance * inverse[0][0]);
+
+        // For multi-component fits, describe the composite waveform over the longest period
+        const composite = this.describeCosinorWaveform(coefficients, periods);
+
+        const round = (value, decimals = 2) => Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+
+        return {
+            mesor: round(coefficients[0]),
+            amplitude: round(components[0].amplitude),
+            acrophase: round(components[0].acrophase),
+            magnitude: round(composite.magnitude),
+            orthophase: round(composite.orthophase),
+            rSquared: round(totalSquares > 0 ? modelSquares / totalSquares : 0, 3),
+            pValue: pValue,
+            significant: pValue < alpha,
+            alpha,
+            validHours: n,
+            confidenceIntervals: {
+                mesor: [round(coefficients[0] - mesorMargin), round(coefficients[0] + mesorMargin)]
+            },
+            components: components.map(c => ({
+                period: c.period,
+                amplitude: round(c.amplitude),
+                acrophase: round(c.acrophase),
+                confidenceIntervals: {
+                    amplitude: c.confidenceIntervals.amplitude.map(v => round(v)),
+                    acrophase: c.confidenceIntervals.acrophase ? c.confidenceIntervals.acrophase.map(v => round(v)) : null
+                }
+            }))
+        };
+    },
+
+    /**
+     * Find the peak time and half peak-to-trough range of a fitted cosinor curve
+     * @param {Array} coefficients - [MESOR, beta1, gamma1, beta2, gamma2, ...]
+     * @param {Array} periods - Component periods in hours
+     * @returns {Object} { magnitude, orthophase }
+     */
+    describeCosinorWaveform(coefficients, periods) {
+        const fundamental = Math.max(...periods);
+        let max = -Infinity, min = Infinity, orthophase = 0;
+
+        // Evaluate at 1-minute resolution
+        for (let minute = 0; minute < fundamental * 60; minute++) {
+            const t = minute / 60;
+            let value = coefficients[0];
+            periods.forEach((period, k) => {
+                const omega = (2 * Math.PI) / period;
+                value += coefficients[1 + 2 * k] * Math.cos(omega * t) + coefficients[2 + 2 * k] * Math.sin(omega * t);
+            });
+
+            if (value > max) {
+                max = value;
+                orthophase = t;
+            }
+            min = Math.min(min, value);
+        }
+
+        return { magnitude: (max - min) / 2, orthophase };
+    },
+
+    /**
+     * Fit cosinor models over rolling windows to track acrophase drift
+     * @param {Array} activityData - Array of epoch objects
+     * @param {Object} options - { windowDays: 7, stepDays: 1, periods, alpha }
+     * @returns {Object} { windowDays, stepDays, windows, acrophaseDrift }
+     */
+    calculateRollingCosinor(activityData, options = {}) {
+        const windowDays = options.windowDays || 7;
+        const stepDays = options.stepDays || 1;
+        const result = { windowDays, stepDays, windows: [], acrophaseDrift: null };
+
+        if (!activityData || activityData.length === 0) {
+            return result;
+        }
 
-            // Handle overnight sleep (end time is next day)
-            let endHours = end.getHours() + end.getMinutes() / 60;
-            const startHours = start.getHours() + start.getMinutes() / 60;
+        const firstDay = new Date(activityData.reduce((min, e) => Math.min(min, e.timestamp), Infinity));
+        firstDay.setHours(0, 0, 0, 0);
+        const lastTime = activityData.reduce((max, e) => Math.max(max, e.timestamp), -Infinity);
 
-            if (endHours < startHours) {
-                endHours += 24; // Add 24 hours for next day
+        for (let offset = 0; ; offset += stepDays) {
+            const windowStart = new Date(firstDay);
+            windowStart.setDate(windowStart.getDate() + offset);
+            const windowEnd = new Date(windowStart);
+            windowEnd.setDate(windowEnd.getDate() + windowDays);
+
+            if (windowStart.getTime() > lastTime || (offset > 0 && windowEnd.getTime() > lastTime + 24 * 60 * 60 * 1000)) {
+                break;
+            }
+
+            const windowData = activityData.filter(e =>
+                e.timestamp >= windowStart.getTime() && e.timestamp < windowEnd.getTime());
+            const fit = this.fitCosinor(windowData, options);
+
+            // Acrophases are relative to each window's first midnight
+            if (fit) {
+                result.windows.push({
+                    windowStart: windowStart.getTime(),
+                    windowEnd: windowEnd.getTime(),
+                    dayOffset: offset,
+                    mesor: fit.mesor,
+                    amplitude: fit.amplitude,
+                    acrophase: fit.acrophase,
+                    rSquared: fit.rSquared,
+                    significant: fit.significant
+                });
+            }
+        }
+
+        // Unwrap acrophases across midnight and regress against time
+        const significant = result.windows.filter(w => w.significant);
+        if (significant.length >= 3) {
+            const unwrapped = [significant[0].acrophase];
+            for (let i = 1; i < significant.length; i++) {
+                let value = significant[i].acrophase;
+                const previous = unwrapped[i - 1];
+                while (value - previous > 12) value -= 24;
+                while (value - previous < -12) value += 24;
+                unwrapped.push(value);
             }
 
-            return (startHours + endHours) / 2;
+            const xs = significant.map(w => w.dayOffset);
+            const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+            const meanY = unwrapped.reduce((a, b) => a + b, 0) / unwrapped.length;
+            let sxy = 0, sxx = 0;
+            xs.forEach((x, i) => {
+                sxy += (x - meanX) * (unwrapped[i] - meanY);
+                sxx += (x - meanX) * (x - meanX);
+            });
+
+            if (sxx > 0) {
+                // Hours per day -> minutes per day (positive = drifting later)
+                result.acrophaseDrift = Math.round((sxy / sxx) * 60 * 10) / 10;
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Calculate social jetlag (difference between work-day and free-day sleep timing)
+     * Nights are taken from the sleep cycles and split by whether their wake day is a free day
+     * @param {Array} cycles - Sleep cycles from detectSleepWakeCycles
+     * @param {Object} settings - User settings (workCalendar)
+     * @returns {Object} Social jetlag metrics
+     */
+    calculateSocialJetlag(cycles, settings = {}) {
+        if (!cycles || cycles.length < 7) {
+            return null; // Need at least a week of data
+        }
+
+        // Separate work-day and free-day nights
+        const nights = cycles.filter(c => c.sleepStart && c.sleepEnd);
+        const workDays = nights.filter(c => !this.isFreeDay(c.date, settings));
+        const freeDays = nights.filter(c => this.isFreeDay(c.date, settings));
+
+        if (workDays.length < 3 || freeDays.length < 2) {
+            return null; // Need sufficient data for both
+        }
+
+        // Average sleep midpoints for work days and free days
+        const workDaySleep = this.detectAverageSleepMidpoint(workDays);
+        const freeDaySleep = this.detectAverageSleepMidpoint(freeDays);
+
+        // Calculate social jetlag (absolute difference in hours, across midnight if needed)
+        const difference = Math.abs(freeDaySleep.midpoint - workDaySleep.midpoint);
+        const jetlagHours = Math.min(difference, 24 - difference);
+
+        return {
+            jetlagHours: Math.round(jetlagHours * 10) / 10,
+            weekdayMidpoint: workDaySleep.midpoint,
+            weekendMidpoint: freeDaySleep.midpoint,
+            description: jetlagHours < 2 ? 'Well-aligned schedule with minimal social jetlag' :
+                        jetlagHours < 4 ? 'Moderate social jetlag - consider consistent sleep times' :
+                        'Significant social jetlag - large difference between work-day/free-day schedules'
+        };
+    },
+
+    /**
+     * Detect average sleep midpoint for a group of nights
+     * Midpoints are averaged as hours after noon, so nights either side of midnight average correctly
+     * @param {Array} nights - Sleep cycles with a main sleep episode
+     * @returns {Object} Sleep midpoint information
+     */
+    detectAverageSleepMidpoint(nights) {
+        if (!nights || nights.length === 0) {
+            return null;
+        }
+
+        const midpoints = nights.map(night => {
+            const mid = new Date((night.sleepStart + night.sleepEnd) / 2);
+            return (mid.getHours() + mid.getMinutes() / 60 + 12) % 24;
         });
 
         // Calculate average midpoint
         const avgMidpoint = midpoints.reduce((sum, mp) => sum + mp, 0) / midpoints.length;
 
         return {
-            midpoint: avgMidpoint % 24, // Keep within 24-hour range
-            count: sleepPeriods.length
+            midpoint: (avgMidpoint + 12) % 24, // Back to clock hours
+            count: nights.length
         };
     }
 };
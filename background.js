@@ -1,25 +1,33 @@
 /**
  * Background Service Worker
- * Monitors browser activity and stores data in time epochs
+ * Monitors browser activity, logs idle state transitions and stores data in time epochs
  */
 
 // Import storage manager (for Chrome MV3, we need to use importScripts)
 if (typeof importScripts === 'function') {
-    importScripts('indexeddb-manager.js', 'storage-manager.js', 'analysis-utils.js');
+    importScripts('indexeddb-manager.js', 'storage-manager.js', 'time-utils.js', 'stats-utils.js', 'analysis-utils.js', 'periodogram-utils.js', 'event-log-utils.js');
 }
 
 // Activity tracking state - kept in memory for speed, but persisted to storage
 let trackingState = {
     isTracking: false,
     lastCheckTime: Date.now(),
-    lastState: 'active'
+    lastState: 'active',
+    windowFocused: true // whether any browser window has focus
 };
 
 let currentEpoch = {
     startTime: null,
     activeSeconds: 0,
+    idleSeconds: 0,
+    lockedSeconds: 0, // screen locked, kept apart from idle as a stronger sleep signal
+    focusedSeconds: 0, // any browser window focused
+    focusedActiveSeconds: 0, // active with a browser window focused
+    focusedIdleSeconds: 0, // idle (not locked) with a browser window focused
     totalSeconds: 0,
-    epochDuration: 15 // minutes, will be loaded from settings
+    epochDuration: 15, // minutes, will be loaded from settings
+    utcOffset: null, // minutes east of UTC when the epoch started
+    timeZone: null // IANA zone name when the epoch started
 };
 
 // Initialization state
@@ -56,6 +64,10 @@ async function initialize() {
                 trackingState = savedState;
                 // If we were tracking, we might need to account for time passed while SW was dead
                 // For now, let's just resume from now to avoid huge jumps if browser was closed
+                if (savedState.isTracking && savedState.lastCheckTime) {
+                    // Nothing was observed since the last check, so mark it as unknown in the event log
+                    await StorageManager.logStateEvent('gap', savedState.lastCheckTime);
+                }
                 trackingState.lastCheckTime = Date.now();
             }
 
@@ -96,11 +108,21 @@ async function initialize() {
  * Start a new activity epoch
  */
 function startNewEpoch() {
+    const now = Date.now();
+    const zone = TimeUtils.getZoneInfo(now);
+
     currentEpoch = {
-        startTime: Date.now(),
+        startTime: now,
         activeSeconds: 0,
+        idleSeconds: 0,
+        lockedSeconds: 0,
+        focusedSeconds: 0,
+        focusedActiveSeconds: 0,
+        focusedIdleSeconds: 0,
         totalSeconds: 0,
-        epochDuration: currentEpoch.epochDuration || 15 // Fallback default
+        epochDuration: currentEpoch.epochDuration || 15, // Fallback default
+        utcOffset: zone.utcOffset,
+        timeZone: zone.timeZone
     };
 }
 
@@ -117,8 +139,10 @@ async function startTracking() {
     const settings = await StorageManager.getSettings();
     const state = await chrome.idle.queryState(settings.idleThreshold);
     trackingState.lastState = state;
+    trackingState.windowFocused = await getWindowFocus();
 
     await StorageManager.saveTrackingState(trackingState);
+    await StorageManager.logStateEvent(state, trackingState.lastCheckTime, trackingState.windowFocused);
 
     // Use alarms for periodic checks (MV3 compliant)
     // 1 minute is the minimum reliable interval for released extensions
@@ -132,6 +156,11 @@ async function startTracking() {
         chrome.idle.onStateChanged.addListener(handleIdleStateChange);
     }
 
+    // And to browser windows gaining or losing focus
+    if (!chrome.windows.onFocusChanged.hasListener(handleWindowFocusChange)) {
+        chrome.windows.onFocusChanged.addListener(handleWindowFocusChange);
+    }
+
     console.log('Browser Actogram: Activity tracking started');
 }
 
@@ -143,6 +172,7 @@ async function stopTracking() {
 
     trackingState.isTracking = false;
     await StorageManager.saveTrackingState(trackingState);
+    await StorageManager.logStateEvent('gap');
 
     chrome.alarms.clear('activityHeartbeat');
 
@@ -150,6 +180,10 @@ async function stopTracking() {
         chrome.idle.onStateChanged.removeListener(handleIdleStateChange);
     }
 
+    if (chrome.windows.onFocusChanged.hasListener(handleWindowFocusChange)) {
+        chrome.windows.onFocusChanged.removeListener(handleWindowFocusChange);
+    }
+
     console.log('Browser Actogram: Activity tracking stopped');
 }
 
@@ -170,7 +204,7 @@ async function updateActivity() {
     // Accumulate time instead of resetting
     currentEpoch.totalSeconds += timeDeltaSeconds;
 
-    // If we were active, add to active seconds
+    // Add the time to the state we were in
     if (trackingState.lastState === 'active') {
         currentEpoch.activeSeconds += timeDeltaSeconds;
 
@@ -178,6 +212,21 @@ async function updateActivity() {
         if (currentEpoch.activeSeconds > currentEpoch.totalSeconds) {
             currentEpoch.activeSeconds = currentEpoch.totalSeconds;
         }
+    } else if (trackingState.lastState === 'locked') {
+        // Epochs saved before locked time was counted have no field yet
+        currentEpoch.lockedSeconds = (currentEpoch.lockedSeconds || 0) + timeDeltaSeconds;
+    } else {
+        currentEpoch.idleSeconds = (currentEpoch.idleSeconds || 0) + timeDeltaSeconds;
+    }
+
+    // Track window focus alongside the idle state, so either can be scored as activity
+    if (trackingState.windowFocused) {
+        currentEpoch.focusedSeconds = (currentEpoch.focusedSeconds || 0) + timeDeltaSeconds;
+        if (trackingState.lastState === 'active') {
+            currentEpoch.focusedActiveSeconds = (currentEpoch.focusedActiveSeconds || 0) + timeDeltaSeconds;
+        } else if (trackingState.lastState === 'idle') {
+            currentEpoch.focusedIdleSeconds = (currentEpoch.focusedIdleSeconds || 0) + timeDeltaSeconds;
+        }
     }
 
     // Update state
@@ -196,12 +245,36 @@ async function updateActivity() {
     const epochDurationMs = currentEpoch.epochDuration * 60 * 1000;
     if (now - currentEpoch.startTime >= epochDurationMs) {
         await finalizeEpoch();
+    } else if (hasTimeZoneChanged(now)) {
+        // Close the epoch early so no epoch spans two zones
+        await finalizeEpoch();
     } else {
         // Save current epoch state
         await StorageManager.saveCurrentEpoch(currentEpoch);
     }
 }
 
+/**
+ * Detect travel or a DST switch since the current epoch started
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the zone or UTC offset changed
+ */
+function hasTimeZoneChanged(now) {
+    // Epochs restored from before zone tracking have nothing to compare against
+    if (currentEpoch.utcOffset === null || currentEpoch.utcOffset === undefined) {
+        return false;
+    }
+
+    const zone = TimeUtils.getZoneInfo(now);
+    if (TimeUtils.isZoneChange(currentEpoch, zone)) {
+        console.log('Time zone changed:', currentEpoch.timeZone, TimeUtils.formatUtcOffset(currentEpoch.utcOffset),
+            '->', zone.timeZone, TimeUtils.formatUtcOffset(zone.utcOffset));
+        return true;
+    }
+
+    return false;
+}
+
 /**
  * Check current idle state (Heartbeat)
  */
@@ -218,6 +291,7 @@ async function checkIdleState() {
         if (currentState !== trackingState.lastState) {
             trackingState.lastState = currentState;
             await StorageManager.saveTrackingState(trackingState);
+            await StorageManager.logStateEvent(currentState, Date.now(), trackingState.windowFocused);
         }
 
         // Add heartbeat timestamp for worker health monitoring
@@ -248,6 +322,36 @@ async function handleIdleStateChange(newState) {
     // Now switch to NEW state
     trackingState.lastState = newState;
     await StorageManager.saveTrackingState(trackingState);
+    await StorageManager.logStateEvent(newState, Date.now(), trackingState.windowFocused);
+}
+
+/**
+ * Handle browser window focus changes
+ * @param {number} windowId - Newly focused window, or WINDOW_ID_NONE when focus left the browser
+ */
+async function handleWindowFocusChange(windowId) {
+    const focused = windowId !== chrome.windows.WINDOW_ID_NONE;
+    if (focused === trackingState.windowFocused) return;
+
+    // Update activity up to this point using the OLD focus
+    await updateActivityWithCheckpoint();
+
+    trackingState.windowFocused = focused;
+    await StorageManager.saveTrackingState(trackingState);
+    await StorageManager.logStateEvent(trackingState.lastState, Date.now(), focused);
+}
+
+/**
+ * Check whether any browser window currently has focus
+ */
+async function getWindowFocus() {
+    try {
+        const lastFocused = await chrome.windows.getLastFocused();
+        return !!(lastFocused && lastFocused.focused);
+    } catch (error) {
+        // No browser window is open
+        return false;
+    }
 }
 
 /**
@@ -303,10 +407,13 @@ async function updateActivityWithCheckpoint() {
     if (elapsedMs > MAX_TRUSTED_GAP_MS) {
         // Worker was dead too long - create a "gap" epoch
         await createGapEpoch(trackingState.lastCheckTime, now);
+        await StorageManager.logStateEvent('gap', trackingState.lastCheckTime);
 
         // Query current state after gap instead of assuming continuation
         const currentState = await getBrowserState();
         trackingState.lastState = currentState; // Update to actual current state
+        trackingState.windowFocused = await getWindowFocus();
+        await StorageManager.logStateEvent(currentState, now, trackingState.windowFocused);
 
         trackingState.lastCheckTime = now;
         await StorageManager.saveTrackingState(trackingState);
@@ -326,11 +433,14 @@ async function createGapEpoch(startTime, endTime) {
         const gapDurationMinutes = Math.max(1, Math.round((endTime - startTime) / (60 * 1000)));
 
         // Save a special epoch indicating missing data
+        const zone = TimeUtils.getZoneInfo(startTime);
         const gapEpoch = {
             timestamp: startTime,
             activityScore: -1, // Special value for gaps
             epochDuration: gapDurationMinutes,
-            isGap: true
+            isGap: true,
+            utcOffset: zone.utcOffset,
+            timeZone: zone.timeZone
         };
 
         await StorageManager.saveActivityEpoch(gapEpoch);
@@ -359,16 +469,30 @@ async function finalizeEpoch() {
             currentEpoch.totalSeconds
         );
 
-        // Calculate activity score with bounds (0-100)
+        // Calculate activity score with bounds (0-100), counting window focus as the settings ask
+        const settings = await StorageManager.getSettings();
         const activityScore = Math.max(0, Math.min(100,
-            Math.round((currentEpoch.activeSeconds / currentEpoch.totalSeconds) * 100)
+            Math.round((EventLogUtils.getCountedActiveSeconds(currentEpoch, settings.focusActivityMode) / currentEpoch.totalSeconds) * 100)
         ));
 
+        // Record the zone the epoch started in, so history renders correctly after travel or DST
+        const zone = (currentEpoch.utcOffset === null || currentEpoch.utcOffset === undefined)
+            ? TimeUtils.getZoneInfo(currentEpoch.startTime)
+            : currentEpoch;
+
         // Create epoch object
         const epoch = {
             timestamp: currentEpoch.startTime,
             activityScore: activityScore,
-            epochDuration: currentEpoch.epochDuration
+            epochDuration: currentEpoch.epochDuration,
+            activeSeconds: currentEpoch.activeSeconds,
+            idleSeconds: currentEpoch.idleSeconds || 0,
+            lockedSeconds: currentEpoch.lockedSeconds || 0,
+            focusedSeconds: currentEpoch.focusedSeconds || 0,
+            focusedActiveSeconds: currentEpoch.focusedActiveSeconds || 0,
+            focusedIdleSeconds: currentEpoch.focusedIdleSeconds || 0,
+            utcOffset: zone.utcOffset,
+            timeZone: zone.timeZone
         };
 
         // Save to storage
@@ -407,13 +531,33 @@ async function performSleepAnalysis() {
         // Get settings for analysis
         const settings = await StorageManager.getSettings();
 
+        // Score every epoch as sleep or wake and persist labels that changed
+        const labelledData = AnalysisUtils.classifySleepWake(activityData, settings);
+        const changedLabels = labelledData.filter((epoch, i) => epoch.sleepState !== activityData[i].sleepState);
+        await StorageManager.saveSleepLabels(changedLabels);
+
         // Perform analysis
-        const analysisResult = AnalysisUtils.detectSleepWakeCycles(activityData, settings);
+        const analysisResult = AnalysisUtils.detectSleepWakeCycles(labelledData, settings);
+
+        // Estimate the free-running period (tau)
+        const periodogram = PeriodogramUtils.estimatePeriod(activityData, {
+            binMinutes: settings.epochDuration
+        });
+
+        // Compare with the sleep diary for the same nights
+        const diaryEntries = await StorageManager.getDiaryEntries(
+            TimeUtils.formatDateKey(new Date(startDate)),
+            TimeUtils.formatDateKey(new Date(endDate))
+        );
+        const diaryAgreement = AnalysisUtils.compareDiaryWithDetected(diaryEntries, labelledData, settings,
+            analysisResult.cycles.flatMap(cycle => cycle.episodes));
 
         // Store analysis result
         const analysisRecord = {
             timestamp: Date.now(),
-            result: analysisResult
+            result: analysisResult,
+            periodogram: periodogram,
+            diaryAgreement: diaryAgreement
         };
 
         // Save to storage (using chrome.storage.local for analysis results)
@@ -425,6 +569,45 @@ async function performSleepAnalysis() {
     }
 }
 
+/**
+ * Tune sleep detection parameters against the sleep diary and save them to settings
+ * The analysis is re-run afterwards so stored labels and results use the new parameters
+ * @returns {Promise<Object|null>} Calibration result, or null without enough diary nights
+ */
+async function calibrateSleepDetection() {
+    console.log('Calibrating sleep detection against the diary...');
+
+    // Use up to 90 days so enough diary nights are available
+    const endDate = Date.now();
+    const startDate = endDate - (90 * 24 * 60 * 60 * 1000);
+    const activityData = await StorageManager.getActivityData(startDate, endDate);
+    const diaryEntries = await StorageManager.getDiaryEntries(
+        TimeUtils.formatDateKey(new Date(startDate)),
+        TimeUtils.formatDateKey(new Date(endDate))
+    );
+
+    const settings = await StorageManager.getSettings();
+    const calibration = AnalysisUtils.calibrateSleepDetection(diaryEntries, activityData, settings);
+    if (!calibration) {
+        console.log('Not enough diary nights with activity data to calibrate');
+        return null;
+    }
+
+    await StorageManager.saveSettings({
+        ...settings,
+        ...calibration.parameters,
+        sleepCalibration: {
+            timestamp: Date.now(),
+            nights: calibration.nights,
+            score: calibration.score,
+            baselineScore: calibration.baselineScore
+        }
+    });
+
+    await performSleepAnalysis();
+    return calibration;
+}
+
 /**
  * Handle alarms
  */
@@ -440,6 +623,25 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
     }
 });
 
+/**
+ * Pick up a new epoch duration without waiting for a worker restart
+ */
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    const change = changes[StorageManager.KEYS.SETTINGS];
+    if (areaName !== 'sync' || !change || !change.newValue || !isInitialized) return;
+
+    const epochDuration = change.newValue.epochDuration;
+    if (!epochDuration || epochDuration === currentEpoch.epochDuration) return;
+
+    // Close the running epoch at its old length so no epoch mixes two durations
+    await updateActivityWithCheckpoint();
+    await finalizeEpoch();
+
+    currentEpoch.epochDuration = epochDuration;
+    await StorageManager.saveCurrentEpoch(currentEpoch);
+    console.log(`Epoch duration changed to ${epochDuration} minutes`);
+});
+
 /**
  * Handle extension installation/update
  */
@@ -511,6 +713,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         });
 
         // Return true to indicate we'll send a response asynchronously
+        return true;
+    } else if (message.action === 'calibrateSleepDetection') {
+        calibrateSleepDetection().then(calibration => {
+            sendResponse({ success: true, calibration });
+        }).catch(error => {
+            console.error('Error calibrating sleep detection:', error);
+            sendResponse({ success: false, error: error.message });
+        });
+
         return true;
     } else if (message.type === 'KEEP_ALIVE') {
         // Just acknowledge keep-alive messages
@@ -0,0 +1,210 @@
+/**
+ * Sleep Diary Page Controller
+ * Records nightly sleep diary entries and lists recent nights
+ */
+
+// Number of nights listed under the form
+const DIARY_LIST_NIGHTS = 30;
+
+/**
+ * Initialize diary page
+ */
+async function initialize() {
+    console.log('Initializing sleep diary page...');
+
+    // Global error handlers
+    window.addEventListener('unhandledrejection', (event) => {
+        console.error('Unhandled rejection:', event.reason);
+        UIUtils.showToast(`Error: ${event.reason.message || event.reason}`, 'error');
+    });
+
+    // Initialize storage (IndexedDB)
+    await StorageManager.initialize();
+
+    resetForm();
+    await loadDiaryEntries();
+
+    document.getElementById('saveDiaryBtn').addEventListener('click', saveEntry);
+    document.getElementById('resetDiaryBtn').addEventListener('click', resetForm);
+    document.getElementById('diaryDate').addEventListener('change', (event) => loadEntryIntoForm(event.target.value));
+
+    console.log('Sleep diary page initialized');
+}
+
+/**
+ * Reset the form to a blank entry for this morning
+ */
+function resetForm() {
+    document.getElementById('diaryDate').value = TimeUtils.formatDateKey(new Date());
+    ['diaryBedtime', 'diaryLightsOff', 'diaryWakeTime', 'diaryOutOfBed', 'diaryNotes'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('diaryLatency').value = 15;
+    document.getElementById('diaryQuality').value = '3';
+}
+
+/**
+ * Fill the form with the saved entry for a wake date, if there is one
+ * @param {string} date - Wake date (YYYY-MM-DD)
+ */
+async function loadEntryIntoForm(date) {
+    const [entry] = await StorageManager.getDiaryEntries(date, date);
+    if (!entry) return;
+
+    document.getElementById('diaryDate').value = entry.date;
+    document.getElementById('diaryBedtime').value = formatTimeInput(entry.bedtime);
+    document.getElementById('diaryLightsOff').value = formatTimeInput(entry.lightsOff);
+    document.getElementById('diaryLatency').value = entry.sleepOnsetLatency;
+    document.getElementById('diaryWakeTime').value = formatTimeInput(entry.wakeTime);
+    document.getElementById('diaryOutOfBed').value = formatTimeInput(entry.outOfBed);
+    document.getElementById('diaryQuality').value = entry.quality ? String(entry.quality) : '';
+    document.getElementById('diaryNotes').value = entry.notes || '';
+}
+
+/**
+ * Save the entry in the form
+ */
+async function saveEntry() {
+    const date = document.getElementById('diaryDate').value;
+    const timeInput = id => document.getElementById(id).value;
+
+    // The wake time on the wake-up date sets the night; the other times are placed around it
+    const wakeTime = AnalysisUtils.getWakeDayTime(date, timeInput('diaryWakeTime'));
+    const lightsOff = AnalysisUtils.getClockTimeFrom(wakeTime, timeInput('diaryLightsOff'), -1);
+
+    if (!date || !lightsOff || !wakeTime) {
+        showStatus('Enter the wake-up date, lights off and wake time', 'error');
+        return;
+    }
+    if (wakeTime <= lightsOff) {
+        showStatus('Wake time must be after lights off', 'error');
+        return;
+    }
+
+    const quality = document.getElementById('diaryQuality').value;
+    const success = await StorageManager.saveDiaryEntry({
+        date,
+        bedtime: AnalysisUtils.getClockTimeFrom(lightsOff, timeInput('diaryBedtime'), -1),
+        lightsOff,
+        sleepOnsetLatency: parseInt(document.getElementById('diaryLatency').value, 10),
+        wakeTime,
+        outOfBed: AnalysisUtils.getClockTimeFrom(wakeTime, timeInput('diaryOutOfBed')),
+        quality: quality ? parseInt(quality, 10) : null,
+        notes: document.getElementById('diaryNotes').value.trim()
+    });
+
+    if (success) {
+        showStatus('Diary entry saved', 'success');
+        await loadDiaryEntries();
+    } else {
+        showStatus('Failed to save', 'error');
+    }
+}
+
+/**
+ * Delete the entry for a wake date
+ * @param {string} date - Wake date (YYYY-MM-DD)
+ */
+async function deleteEntry(date) {
+    const confirmed = await UIUtils.showConfirm(
+        `Delete the diary entry for ${date}?`,
+        'Delete Entry',
+        'Delete',
+        'Cancel',
+        'danger'
+    );
+    if (!confirmed) return;
+
+    const success = await StorageManager.deleteDiaryEntry(date);
+    if (success) {
+        showStatus('Diary entry deleted', 'success');
+        await loadDiaryEntries();
+    } else {
+        showStatus('Failed to delete', 'error');
+    }
+}
+
+/**
+ * List the most recent nights, newest first
+ */
+async function loadDiaryEntries() {
+    const entries = (await StorageManager.getDiaryEntries()).slice(-DIARY_LIST_NIGHTS).reverse();
+    const list = document.getElementById('diaryList');
+    list.innerHTML = '';
+    document.getElementById('diaryEmpty').style.display = entries.length === 0 ? 'block' : 'none';
+
+    entries.forEach(entry => {
+        const sleepWindow = AnalysisUtils.getDiarySleepWindow(entry);
+        const item = document.createElement('li');
+
+        const text = document.createElement('div');
+        const summary = document.createElement('span');
+        summary.textContent = `${entry.date}: lights off ${formatTimeInput(entry.lightsOff)}, ` +
+            `awake ${formatTimeInput(entry.wakeTime)}` +
+            (sleepWindow ? `, ${Math.floor(sleepWindow.duration / 60)}h ${sleepWindow.duration % 60}m asleep` : '') +
+            (entry.quality ? `, quality ${entry.quality}/5` : '');
+        text.appendChild(summary);
+
+        if (entry.notes) {
+            const notes = document.createElement('span');
+            notes.className = 'diary-entry-notes';
+            notes.textContent = entry.notes;
+            text.appendChild(notes);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'diary-entry-actions';
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-secondary';
+        editBtn.textContent = 'Edit';
+        editBtn.setAttribute('aria-label', `Edit ${entry.date}`);
+        editBtn.addEventListener('click', () => {
+            loadEntryIntoForm(entry.date);
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-secondary';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.setAttribute('aria-label', `Delete ${entry.date}`);
+        deleteBtn.addEventListener('click', () => deleteEntry(entry.date));
+
+        actions.appendChild(editBtn);
+        actions.appendChild(deleteBtn);
+        item.appendChild(text);
+        item.appendChild(actions);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Format a timestamp for a time input, e.g. "23:05"
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string} Local time "HH:MM", or '' without a time
+ */
+function formatTimeInput(timestamp) {
+    if (!timestamp) return '';
+    const date = new Date(timestamp);
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Show status message
+ */
+function showStatus(message, type = '') {
+    UIUtils.showToast(message, type === 'success' ? 'success' : type === 'error' ? 'error' : 'info');
+
+    const statusEl = document.getElementById('saveStatus');
+    if (statusEl) {
+        statusEl.textContent = message;
+        statusEl.className = 'save-status ' + type;
+    }
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initialize);
+} else {
+    initialize();
+}
@@ -0,0 +1,240 @@
+/**
+ * Event Log Utilities
+ * Derives activity epochs from the raw log of idle state transitions
+ */
+
+const EventLogUtils = {
+    /**
+     * States recorded in the event log
+     * Each event holds until the next one; 'gap' marks time the tracker could not observe.
+     * Events also carry windowFocused, and a focus change is logged as a new event
+     */
+    STATES: ['active', 'idle', 'locked', 'gap'],
+
+    /**
+     * Seconds of an epoch counted as activity
+     * Epochs recorded without window focus fall back to input activity alone
+     * @param {Object} epoch - { activeSeconds, focusedActiveSeconds, focusedIdleSeconds }
+     * @param {string} focusActivityMode - 'idle': input activity only,
+     *     'either': input activity or a focused browser window (not while locked),
+     *     'both': input activity while a browser window has focus
+     * @returns {number} Seconds
+     */
+    getCountedActiveSeconds(epoch, focusActivityMode) {
+        const activeSeconds = epoch.activeSeconds || 0;
+        switch (focusActivityMode) {
+            case 'either':
+                return activeSeconds + (epoch.focusedIdleSeconds ?? 0);
+            case 'both':
+                return epoch.focusedActiveSeconds ?? activeSeconds;
+            default:
+                return activeSeconds;
+        }
+    },
+
+    /**
+     * Turn the event log into time intervals with a single state
+     * @param {Array} events - [{ timestamp, state, windowFocused, utcOffset, timeZone }]
+     * @param {Object} options - { startTime, endTime } clip bounds (ms), both optional
+     * @returns {Array} [{ start, end, state, windowFocused, utcOffset, timeZone }] in time order
+     */
+    getIntervals(events, options = {}) {
+        const sorted = (events || [])
+            .filter(event => event && Number.isFinite(event.timestamp) && this.STATES.includes(event.state))
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        const intervals = [];
+        for (let i = 0; i < sorted.length; i++) {
+            const event = sorted[i];
+            // The last state runs until endTime; without one it has no known length
+            const next = i + 1 < sorted.length ? sorted[i + 1].timestamp : options.endTime;
+            if (!Number.isFinite(next)) continue;
+
+            const start = Number.isFinite(options.startTime) ? Math.max(event.timestamp, options.startTime) : event.timestamp;
+            const end = Number.isFinite(options.endTime) ? Math.min(next, options.endTime) : next;
+            if (end <= start) continue;
+
+            intervals.push({
+                start,
+                end,
+                state: event.state,
+                windowFocused: event.windowFocused,
+                utcOffset: event.utcOffset,
+                timeZone: event.timeZone
+            });
+        }
+
+        return intervals;
+    },
+
+    /**
+     * Bin the event log into epochs of any duration
+     * Epochs are aligned to multiples of the epoch length like imported history,
+     * and scored the same way as tracked epochs: percentage of observed time counted as active,
+     * with the active, idle, locked and window focus seconds behind the score.
+     * Unobserved stretches become gap epochs (activityScore -1)
+     * @param {Array} events - [{ timestamp, state, windowFocused, utcOffset, timeZone }]
+     * @param {number} epochDuration - Epoch length in minutes
+     * @param {Object} options - { startTime, endTime } clip bounds (ms), both optional,
+     *                           focusActivityMode (see getCountedActiveSeconds)
+     * @returns {Array} Epoch objects sorted by timestamp
+     */
+    buildEpochs(events, epochDuration, options = {}) {
+        const epochMs = epochDuration * 60 * 1000;
+        if (!(epochMs > 0)) return [];
+
+        const bins = new Map();
+        const gaps = [];
+
+        for (const interval of this.getIntervals(events, options)) {
+            if (interval.state === 'gap') {
+                gaps.push(interval);
+                continue;
+            }
+
+            // Split the interval across the epochs it overlaps
+            let cursor = interval.start;
+            while (cursor < interval.end) {
+                const binStart = Math.floor(cursor / epochMs) * epochMs;
+                const sliceEnd = Math.min(interval.end, binStart + epochMs);
+
+                if (!bins.has(binStart)) {
+                    bins.set(binStart, {
+                        active: 0,
+                        idle: 0,
+                        locked: 0,
+                        focused: 0,
+                        focusedActive: 0,
+                        focusedIdle: 0,
+                        focusKnown: true,
+                        utcOffset: interval.utcOffset,
+                        timeZone: interval.timeZone
+                    });
+                }
+
+                const bin = bins.get(binStart);
+                bin[interval.state] += sliceEnd - cursor;
+                if (typeof interval.windowFocused !== 'boolean') {
+                    bin.focusKnown = false;
+                } else if (interval.windowFocused) {
+                    bin.focused += sliceEnd - cursor;
+                    if (interval.state === 'active') bin.focusedActive += sliceEnd - cursor;
+                    if (interval.state === 'idle') bin.focusedIdle += sliceEnd - cursor;
+                }
+
+                cursor = sliceEnd;
+            }
+        }
+
+        const epochs = [];
+        for (const [timestamp, bin] of bins) {
+            const totalMs = bin.active + bin.idle + bin.locked;
+            const countedMs = this.getCountedActiveSeconds({
+                activeSeconds: bin.active,
+                focusedActiveSeconds: bin.focusKnown ? bin.focusedActive : undefined,
+                focusedIdleSeconds: bin.focusKnown ? bin.focusedIdle : undefined
+            }, options.focusActivityMode);
+
+            const epoch = {
+                timestamp,
+                activityScore: Math.max(0, Math.min(100, Math.round((countedMs / totalMs) * 100))),
+                epochDuration,
+                activeSeconds: Math.round(bin.active / 1000),
+                idleSeconds: Math.round(bin.idle / 1000),
+                lockedSeconds: Math.round(bin.locked / 1000),
+                utcOffset: bin.utcOffset,
+                timeZone: bin.timeZone
+            };
+
+            // Focus is only reported when it was logged for the whole epoch
+            if (bin.focusKnown) {
+                epoch.focusedSeconds = Math.round(bin.focused / 1000);
+                epoch.focusedActiveSeconds = Math.round(bin.focusedActive / 1000);
+                epoch.focusedIdleSeconds = Math.round(bin.focusedIdle / 1000);
+            }
+
+            epochs.push(epoch);
+        }
+
+        for (const gap of gaps) {
+            // Epochs are keyed by timestamp, so a gap cannot share a start with a scored epoch
+            if (bins.has(gap.start)) continue;
+
+            epochs.push({
+                timestamp: gap.start,
+                activityScore: -1,
+                epochDuration: Math.max(1, Math.round((gap.end - gap.start) / (60 * 1000))),
+                isGap: true,
+                utcOffset: gap.utcOffset,
+                timeZone: gap.timeZone
+            });
+        }
+
+        return epochs.sort((a, b) => a.timestamp - b.timestamp);
+    },
+
+    /**
+     * Combine stored epochs with epochs derived from the event log
+     * From logStart on, derived epochs replace stored tracker epochs. Imported history scores,
+     * and sleep labels of stored epochs with the same slot, are carried over; stored epochs
+     * that did not come from the tracker (imported data, history alone) are kept.
+     * @param {Array} storedEpochs - Epochs from the activity store
+     * @param {Array} derivedEpochs - Epochs from buildEpochs, starting at logStart
+     * @param {number} logStart - Time (ms) from which the event log covers the range
+     * @returns {Array} Epoch objects sorted by timestamp
+     */
+    mergeWithStored(storedEpochs, derivedEpochs, logStart) {
+        const stored = storedEpochs || [];
+        if (!Number.isFinite(logStart)) {
+            return [...stored].sort((a, b) => a.timestamp - b.timestamp);
+        }
+
+        // Tracker epochs carry a trackerScore; gap epochs are written by the tracker too
+        const isTracked = epoch => epoch.trackerScore !== undefined || !!epoch.isGap;
+        const merged = stored.filter(epoch => epoch.timestamp < logStart);
+        const covered = new Map(stored
+            .filter(epoch => epoch.timestamp >= logStart)
+            .map(epoch => [epoch.timestamp, epoch]));
+
+        for (const epoch of derivedEpochs || []) {
+            const match = covered.get(epoch.timestamp);
+            covered.delete(epoch.timestamp);
+
+            // Imported epochs keep their slot
+            if (match && !isTracked(match) && match.historyScore === undefined) {
+                merged.push(match);
+                continue;
+            }
+            if (epoch.isGap) {
+                merged.push(match && match.historyScore !== undefined ? match : epoch);
+                continue;
+            }
+
+            const combined = { ...epoch, trackerScore: epoch.activityScore };
+            if (match && match.historyScore !== undefined) {
+                combined.historyScore = match.historyScore;
+                combined.activityScore = Math.max(combined.trackerScore, match.historyScore);
+            }
+            if (match && match.sleepState && match.epochDuration === epoch.epochDuration) {
+                combined.sleepState = match.sleepState;
+            }
+            merged.push(combined);
+        }
+
+        for (const epoch of covered.values()) {
+            if (!isTracked(epoch)) {
+                merged.push(epoch);
+            }
+        }
+
+        return merged.sort((a, b) => a.timestamp - b.timestamp);
+    }
+};
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventLogUtils;
+} else if (typeof window !== 'undefined') {
+    // For browser environments
+    window.EventLogUtils = EventLogUtils;
+}
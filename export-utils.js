@@ -52,9 +52,16 @@ const ExportUtils = {
                 return false;
             }
 
+            // Day column follows the configured day boundary
+            const settings = await StorageManager.getSettings();
+            const dayStartHour = settings.dayStartHour || 0;
+
+            // Score epochs the background analysis has not labelled yet
+            const labelledData = AnalysisUtils.classifySleepWake(activityData, settings, { keepExisting: true });
+
             // Create CSV content
-            const headers = ['Timestamp', 'Date', 'Time', 'Activity Score'];
-            const rows = activityData.map(epoch => this.formatCsvRow(epoch));
+            const headers = ['Timestamp', 'Date', 'Time', 'Activity Score', 'Day', 'Sleep/Wake'];
+            const rows = labelledData.map(epoch => this.formatCsvRow(epoch, dayStartHour));
 
             const csvContent = [
                 headers.join(','),
@@ -157,9 +164,10 @@ const ExportUtils = {
     /**
      * Format a single epoch for CSV output
      * @param {Object} epoch - Activity epoch
+     * @param {number} dayStartHour - Local hour at which a day starts, for the Day column
      * @returns {Array} CSV row array
      */
-    formatCsvRow(epoch) {
+    formatCsvRow(epoch, dayStartHour = 0) {
         const date = new Date(epoch.timestamp);
         // Use MM/DD/YYYY format which Excel auto-recognizes as Short Date
         const month = String(date.getMonth() + 1).padStart(2, '0');
@@ -171,7 +179,9 @@ const ExportUtils = {
             `="${epoch.timestamp}"`, // Format as text for Excel to prevent scientific notation
             formattedDate,
             time,
-            epoch.activityScore
+            epoch.activityScore,
+            TimeUtils.getDayKey(epoch.timestamp, dayStartHour),
+            epoch.sleepState || ''
         ];
     },
 
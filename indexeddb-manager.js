@@ -1,14 +1,17 @@
 /**
  * IndexedDB Manager
- * Handles all IndexedDB operations for activity epoch storage
+ * Handles all IndexedDB operations for activity epoch, state event, sleep diary and annotation storage
  */
 
 const IndexedDBManager = {
     DB_NAME: 'ActogramDB',
-    DB_VERSION: 2,
+    DB_VERSION: 5,
     STORES: {
         EPOCHS: 'epochs',
-        CURRENT_EPOCH: 'currentEpoch'
+        CURRENT_EPOCH: 'currentEpoch',
+        DIARY: 'diary',
+        ANNOTATIONS: 'annotations',
+        EVENTS: 'events'
     },
 
     db: null,
@@ -54,6 +57,34 @@ const IndexedDBManager = {
                     console.log('Created currentEpoch object store');
                 }
 
+                // Create diary object store, one entry per night keyed by wake date (YYYY-MM-DD)
+                if (!db.objectStoreNames.contains(this.STORES.DIARY)) {
+                    db.createObjectStore(this.STORES.DIARY, {
+                        keyPath: 'date'
+                    });
+                    console.log('Created diary object store');
+                }
+
+                // Create annotations object store with timestamp index
+                if (!db.objectStoreNames.contains(this.STORES.ANNOTATIONS)) {
+                    const annotationStore = db.createObjectStore(this.STORES.ANNOTATIONS, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                    annotationStore.createIndex('timestamp', 'timestamp', { unique: false });
+                    console.log('Created annotations object store');
+                }
+
+                // Create raw state event log with timestamp index
+                if (!db.objectStoreNames.contains(this.STORES.EVENTS)) {
+                    const eventStore = db.createObjectStore(this.STORES.EVENTS, {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                    eventStore.createIndex('timestamp', 'timestamp', { unique: false });
+                    console.log('Created events object store');
+                }
+
                 // Migration for version 2: Add trackerScore to existing epochs
                 if (oldVersion < 2) {
                     const transaction = request.transaction;
@@ -118,6 +149,28 @@ const IndexedDBManager = {
         });
     },
 
+    /**
+     * Delete activity epochs in a single transaction
+     * @param {Array<number>} timestamps - Timestamps of the epochs to delete
+     */
+    async deleteActivityEpochs(timestamps) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.STORES.EPOCHS], 'readwrite');
+            const store = transaction.objectStore(this.STORES.EPOCHS);
+
+            timestamps.forEach(timestamp => {
+                store.delete(timestamp);
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
     /**
      * Get activity data for a date range
      * @param {number} startTime - Start timestamp (ms), optional
@@ -203,8 +256,262 @@ const IndexedDBManager = {
         });
     },
 
+    /**
+     * Append a state transition to the raw event log
+     * @param {Object} event - { timestamp, state: 'active' | 'idle' | 'locked' | 'gap', utcOffset, timeZone }
+     */
+    async saveStateEvent(event) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.STORES.EVENTS], 'readwrite');
+            const store = transaction.objectStore(this.STORES.EVENTS);
+            const request = store.add(event);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Get state events for a date range
+     * @param {number} startTime - Start timestamp (ms), optional
+     * @param {number} endTime - End timestamp (ms), optional
+     * @returns {Promise<Array>} Events sorted by timestamp, in recording order for equal timestamps
+     */
+    async getStateEvents(startTime, endTime) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.STORES.EVENTS], 'readonly');
+            const index = transaction.objectStore(this.STORES.EVENTS).index('timestamp');
+
+            let range;
+            if (startTime && endTime) {
+                range = IDBKeyRange.bound(startTime, endTime);
+            } else if (startTime) {
+                range = IDBKeyRange.lowerBound(startTime);
+            } else if (endTime) {
+                range = IDBKeyRange.upperBound(endTime);
+            }
+
+            const request = index.getAll(range);
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Get the last state event recorded before a point in time
+     * @param {number} time - Timestamp (ms)
+     * @returns {Promise<Object|null>} Event, or null if none is older
+     */
+    async getStateEventBefore(time) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.STORES.EVENTS], 'readonly');
+            const index = transaction.objectStore(this.STORES.EVENTS).index('timestamp');
+            const request = index.openCursor(IDBKeyRange.upperBound(time, true), 'prev');
+
+            request.onsuccess = () => resolve(request.result ? request.result.value : null);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Delete the whole state event log
+     */
+    async clearStateEvents() {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.STORES.EVENTS], 'readwrite');
+            transaction.objectStore(this.STORES.EVENTS).clear();
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    /**
+     * Save a sleep diary entry, replacing any entry for the same wake date
+     * @param {Object} entry - { date, bedtime, lightsOff, sleepOnsetLatency, wakeTime, outOfBed, quality, notes }
+     */
+    async saveDiaryEntry(entry) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.STORES.DIARY], 'readwrite');
+            const store = transaction.objectStore(this.STORES.DIARY);
+            const request = store.put(entry);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Get sleep diary entries for a range of wake dates
+     * @param {string} startDate - First wake date (YYYY-MM-DD), optional
+     * @param {string} endDate - Last wake date (YYYY-MM-DD), optional
+     * @returns {Promise<Array>} Entries sorted by date ascending
+     */
+    async getDiaryEntries(startDate, endDate) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.STORES.DIARY], 'readonly');
+            const store = transaction.objectStore(this.STORES.DIARY);
+
+            let range;
+            if (startDate && endDate) {
+                range = IDBKeyRange.bound(startDate, endDate);
+            } else if (startDate) {
+                range = IDBKeyRange.lowerBound(startDate);
+            } else if (endDate) {
+                range = IDBKeyRange.upperBound(endDate);
+            }
+
+            // Date keys sort lexically, so getAll already returns them in order
+            const request = store.getAll(range);
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Delete the sleep diary entry for a wake date
+     * @param {string} date - Wake date (YYYY-MM-DD)
+     */
+    async deleteDiaryEntry(date) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.STORES.DIARY], 'readwrite');
+            const store = transaction.objectStore(this.STORES.DIARY);
+            const request = store.delete(date);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Save annotations in a single transaction
+     * Annotations without an id are added; those with an id replace the stored one
+     * @param {Array} annotations - Array of { id?, timestamp, type, label, note }
+     * @returns {Promise<Array>} Ids of the saved annotations
+     */
+    async saveAnnotations(annotations) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.STORES.ANNOTATIONS], 'readwrite');
+            const store = transaction.objectStore(this.STORES.ANNOTATIONS);
+            const ids = [];
+
+            annotations.forEach((annotation, index) => {
+                const request = store.put(annotation);
+                request.onsuccess = () => {
+                    ids[index] = request.result;
+                };
+            });
+
+            transaction.oncomplete = () => resolve(ids);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    /**
+     * Get annotations for a date range
+     * @param {number} startTime - Start timestamp (ms), optional
+     * @param {number} endTime - End timestamp (ms), optional
+     * @returns {Promise<Array>} Annotations sorted by timestamp
+     */
+    async getAnnotations(startTime, endTime) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.STORES.ANNOTATIONS], 'readonly');
+            const index = transaction.objectStore(this.STORES.ANNOTATIONS).index('timestamp');
+
+            let range;
+            if (startTime && endTime) {
+                range = IDBKeyRange.bound(startTime, endTime);
+            } else if (startTime) {
+                range = IDBKeyRange.lowerBound(startTime);
+            } else if (endTime) {
+                range = IDBKeyRange.upperBound(endTime);
+            }
+
+            const request = index.getAll(range);
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Delete an annotation
+     * @param {number} id - Annotation id
+     */
+    async deleteAnnotation(id) {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.STORES.ANNOTATIONS], 'readwrite');
+            const store = transaction.objectStore(this.STORES.ANNOTATIONS);
+            const request = store.delete(id);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Delete all annotations
+     */
+    async clearAnnotations() {
+        if (!this.db) {
+            throw new Error('IndexedDB not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.STORES.ANNOTATIONS], 'readwrite');
+            transaction.objectStore(this.STORES.ANNOTATIONS).clear();
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
     /**
      * Clear all activity data
+     * Diary entries and annotations are kept, since they are entered by hand.
+     * The state event log is cleared separately with clearStateEvents, so epochs can be rewritten without losing it
      */
     async clearAllData() {
         if (!this.db) {
@@ -245,12 +552,13 @@ const IndexedDBManager = {
         const cutoffTime = Date.now() - (retentionDays * 24 * 60 * 60 * 1000);
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.STORES.EPOCHS], 'readwrite');
+            const transaction = this.db.transaction([this.STORES.EPOCHS, this.STORES.EVENTS], 'readwrite');
             const store = transaction.objectStore(this.STORES.EPOCHS);
             const index = store.index('timestamp');
             const range = IDBKeyRange.upperBound(cutoffTime);
 
             let deleteCount = 0;
+            let eventDeleteCount = 0;
             const request = index.openCursor(range);
 
             request.onsuccess = (event) => {
@@ -262,8 +570,21 @@ const IndexedDBManager = {
                 }
             };
 
+            // The raw event log follows the same retention as the epochs derived from it
+            const eventRequest = transaction.objectStore(this.STORES.EVENTS)
+                .index('timestamp').openCursor(range);
+
+            eventRequest.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    cursor.delete();
+                    eventDeleteCount++;
+                    cursor.continue();
+                }
+            };
+
             transaction.oncomplete = () => {
-                console.log(`Cleaned up ${deleteCount} old epochs`);
+                console.log(`Cleaned up ${deleteCount} old epochs and ${eventDeleteCount} old state events`);
                 resolve(deleteCount);
             };
 
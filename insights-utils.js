@@ -0,0 +1,304 @@
+/**
+ * Insights Utilities
+ * Turns analysis results into the insight cards shown in the popup
+ */
+
+const InsightsUtils = {
+    // Minimum data before a card is shown
+    MIN_SLEEP_NIGHTS: 1,
+    MIN_BEDTIME_NIGHTS: 3,
+    MIN_PROFILE_HOURS: 24,
+
+    /**
+     * Build all insight cards that have enough data behind them
+     * @param {Object} analysisResult - Result of AnalysisUtils.detectSleepWakeCycles
+     * @param {Object} trendAnalysis - Result of AnalysisUtils.analyzeTrends
+     * @param {Object} weekOverWeek - Result of AnalysisUtils.calculateWeekOverWeek (may be null)
+     * @returns {Array} Cards { id, title, badge, descriptions, visual, tips }
+     */
+    generateInsights(analysisResult, trendAnalysis = {}, weekOverWeek = null) {
+        if (!analysisResult) return [];
+
+        const circadian = analysisResult.circadian || {};
+
+        return [
+            this.buildDailyPatternsCard(circadian, weekOverWeek),
+            this.buildSleepCard(analysisResult, circadian),
+            this.buildRhythmCard(circadian),
+            this.buildTipsCard(analysisResult, circadian, trendAnalysis)
+        ].filter(card => card !== null);
+    },
+
+    /**
+     * Daily activity profile, peak windows and week-over-week change
+     * @returns {Object|null} Card, or null without an hourly profile
+     */
+    buildDailyPatternsCard(circadian, weekOverWeek) {
+        const hourly = circadian.hourlyPatterns;
+        const validHours = circadian.cosinor ? circadian.cosinor.validHours : 0;
+        if (!hourly || hourly.every(v => v === 0) || validHours < this.MIN_PROFILE_HOURS) {
+            return null;
+        }
+
+        const descriptions = [];
+        let badge = null;
+
+        if (weekOverWeek) {
+            const change = weekOverWeek.changePercent;
+            badge = {
+                text: `${change > 0 ? '+' : ''}${change}%`,
+                tone: change > 0 ? 'positive' : change < 0 ? 'negative' : null
+            };
+            descriptions.push(change === 0
+                ? 'Your activity is the same as the previous week.'
+                : `Your activity is ${Math.abs(change)}% ${change > 0 ? 'higher' : 'lower'} than the previous week.`);
+        }
+
+        const peaks = AnalysisUtils.findPeakWindows(hourly);
+        if (peaks.length > 0) {
+            const ranges = peaks.map(w => this.formatHourRange(w.startHour, w.endHour));
+            descriptions.push(`Peak hours are ${ranges.join(' and ')}.`);
+        }
+
+        // Scale the timeline to the busiest hour so the shape is visible at low activity
+        const max = Math.max(...hourly);
+
+        return {
+            id: 'dailyPatterns',
+            title: 'Daily Patterns',
+            badge,
+            descriptions,
+            visual: { type: 'timeline', values: hourly.map(v => Math.round((v / max) * 100) / 100) },
+            tips: []
+        };
+    },
+
+    /**
+     * Sleep duration, timing, bedtime suggestion and regularity
+     * @returns {Object|null} Card, or null without detected sleep
+     */
+    buildSleepCard(analysisResult, circadian) {
+        const summary = analysisResult.summary || {};
+        if (!summary.daysWithSleepData || summary.daysWithSleepData < this.MIN_SLEEP_NIGHTS) {
+            return null;
+        }
+
+        const descriptions = [];
+        const duration = this.formatDuration(summary.avgSleepDuration);
+        const nights = summary.daysWithSleepData;
+
+        descriptions.push(`Average sleep of ${duration} over ${nights} night${nights === 1 ? '' : 's'}, ` +
+            `typically from ${this.formatClockTime(summary.avgSleepStart)} to ${this.formatClockTime(summary.avgWakeTime)}.`);
+
+        const bedtime = this.suggestBedtime(analysisResult.cycles);
+        if (bedtime) {
+            descriptions.push(`Based on your last ${bedtime.nights} nights, a consistent bedtime around ` +
+                `${this.formatClockTime(bedtime.hour)} fits your rhythm.`);
+        }
+
+        const naps = analysisResult.naps;
+        if (naps && naps.total > 0) {
+            descriptions.push(`About ${naps.avgPerWeek} nap${naps.avgPerWeek === 1 ? '' : 's'} per week, ` +
+                `averaging ${this.formatDuration(naps.avgDuration)}.`);
+        }
+
+        const regularity = this.calculateRegularityScore(summary, circadian);
+        if (summary.sleepRegularityIndex !== null && summary.sleepRegularityIndex !== undefined) {
+            const trend = analysisResult.sleepRegularity && analysisResult.sleepRegularity.trend7;
+            descriptions.push(`Sleep Regularity Index ${summary.sleepRegularityIndex} (-100 to 100, higher is more regular)` +
+                (trend ? `, ${trend > 0 ? 'improving' : 'declining'} by ${Math.abs(trend)} per day over recent weeks.` : '.'));
+        } else if (regularity !== null) {
+            descriptions.push(`Regularity: ${regularity}%`);
+        }
+
+        return {
+            id: 'sleep',
+            title: 'Sleep Analysis',
+            badge: { text: duration, tone: null },
+            descriptions,
+            visual: regularity !== null ? { type: 'bar', value: regularity } : null,
+            tips: []
+        };
+    },
+
+    /**
+     * Non-parametric rhythm metrics (IS, IV, RA, L5/M10) and mid-sleep chronotype
+     * @returns {Object|null} Card, or null if the metrics could not be computed
+     */
+    buildRhythmCard(circadian) {
+        const nonParametric = circadian.nonParametric;
+        if (!nonParametric) return null;
+
+        const descriptions = [
+            `Interdaily stability ${nonParametric.interdailyStability ?? 'n/a'} (0-1, higher is more regular), ` +
+            `intradaily variability ${nonParametric.intradailyVariability ?? 'n/a'} (0-2, higher is more fragmented).`
+        ];
+
+        if (nonParametric.l5 && nonParametric.m10) {
+            descriptions.push(`Least active 5h start at ${this.formatClockTime(nonParametric.l5.onsetHour)}, ` +
+                `most active 10h start at ${this.formatClockTime(nonParametric.m10.onsetHour)}.`);
+        }
+
+        const chronotype = circadian.chronotype;
+        if (chronotype && chronotype.msfsc) {
+            descriptions.push(`Mid-sleep on free days ${this.formatClockTime(chronotype.msfsc.msfsc)} ` +
+                `(corrected for sleep debt): ${chronotype.msfsc.description}.`);
+        }
+
+        return {
+            id: 'rhythm',
+            title: 'Rhythm Metrics',
+            badge: nonParametric.relativeAmplitude !== null
+                ? { text: `RA ${nonParametric.relativeAmplitude.toFixed(2)}`, tone: null }
+                : null,
+            descriptions,
+            visual: null,
+            tips: []
+        };
+    },
+
+    /**
+     * Tips derived from the user's own peaks, bedtime and regularity
+     * @returns {Object|null} Card, or null if no tip applies
+     */
+    buildTipsCard(analysisResult, circadian, trendAnalysis) {
+        const tips = [];
+
+        const peaks = AnalysisUtils.findPeakWindows(circadian.hourlyPatterns, 2, 1);
+        if (peaks.length > 0) {
+            tips.push(`Schedule focused work during ${this.formatHourRange(peaks[0].startHour, peaks[0].endHour)}, your most active window`);
+        }
+
+        const bedtime = this.suggestBedtime(analysisResult.cycles);
+        if (bedtime) {
+            tips.push(`Reduce browsing after ${this.formatClockTime((bedtime.hour + 23) % 24)}, an hour before your usual sleep onset`);
+        }
+
+        const nonParametric = circadian.nonParametric;
+        if (nonParametric && nonParametric.interdailyStability !== null && nonParametric.interdailyStability < 0.5) {
+            tips.push('Your daily rhythm varies a lot from day to day; regular sleep and wake times help stabilize it');
+        }
+
+        const socialJetlag = circadian.socialJetlag;
+        if (socialJetlag && socialJetlag.jetlagHours >= 1) {
+            tips.push(`Free-day sleep shifts by about ${socialJetlag.jetlagHours.toFixed(1)}h; keeping it closer to work days reduces social jetlag`);
+        }
+
+        const weekdayWeekend = (trendAnalysis.patterns || []).find(p => p.type === 'weekday_vs_weekend');
+        if (weekdayWeekend && Math.abs(weekdayWeekend.weekdayAvg - weekdayWeekend.weekendAvg) >= 10) {
+            tips.push(weekdayWeekend.description);
+        }
+
+        if (tips.length === 0) return null;
+
+        return {
+            id: 'tips',
+            title: 'Productivity Tips',
+            badge: null,
+            descriptions: [],
+            visual: null,
+            tips
+        };
+    },
+
+    /**
+     * Suggest a bedtime from the median sleep onset of recent nights
+     * Onsets are measured from noon so late-evening and after-midnight times stay contiguous
+     * @param {Array} cycles - Sleep cycles from detectSleepWakeCycles
+     * @param {number} maxNights - Number of most recent nights to use
+     * @returns {Object|null} { hour, nights }, or null with too few nights
+     */
+    suggestBedtime(cycles, maxNights = 14) {
+        const onsets = (cycles || [])
+            .filter(c => c.sleepStart)
+            .sort((a, b) => a.sleepStart - b.sleepStart)
+            .slice(-maxNights)
+            .map(c => {
+                const date = new Date(c.sleepStart);
+                return (date.getHours() + date.getMinutes() / 60 + 12) % 24;
+            })
+            .sort((a, b) => a - b);
+
+        if (onsets.length < this.MIN_BEDTIME_NIGHTS) return null;
+
+        const middle = Math.floor(onsets.length / 2);
+        const median = onsets.length % 2 === 0 ? (onsets[middle - 1] + onsets[middle]) / 2 : onsets[middle];
+
+        // Round to the nearest quarter hour
+        return {
+            hour: (Math.round(median * 4) / 4 + 12) % 24,
+            nights: onsets.length
+        };
+    },
+
+    /**
+     * Regularity score (0-100) from the Sleep Regularity Index, interdaily stability,
+     * or sleep onset variability, in that order of preference
+     * @returns {number|null} Score, or null without a usable metric
+     */
+    calculateRegularityScore(summary, circadian) {
+        if (summary && summary.sleepRegularityIndex !== null && summary.sleepRegularityIndex !== undefined) {
+            return Math.max(0, Math.round(summary.sleepRegularityIndex));
+        }
+
+        const nonParametric = circadian && circadian.nonParametric;
+        if (nonParametric && nonParametric.interdailyStability !== null) {
+            return Math.round(nonParametric.interdailyStability * 100);
+        }
+
+        // Onset standard deviation in hours: 0h is perfectly regular, 4h or more scores zero
+        if (summary && summary.daysWithSleepData >= this.MIN_BEDTIME_NIGHTS && summary.sleepOnsetSD !== undefined) {
+            return Math.max(0, Math.round(100 - summary.sleepOnsetSD * 25));
+        }
+
+        return null;
+    },
+
+    /**
+     * Format a fractional hour as a 12-hour clock time, e.g. 22.5 -> "10:30 PM"
+     * @param {number} hours - Hour of day (0-24)
+     * @returns {string} Clock time
+     */
+    formatClockTime(hours) {
+        const totalMinutes = Math.round(hours * 60) % (24 * 60);
+        const hour = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        const suffix = hour < 12 ? 'AM' : 'PM';
+        const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+        return minutes === 0 ? `${displayHour} ${suffix}` : `${displayHour}:${String(minutes).padStart(2, '0')} ${suffix}`;
+    },
+
+    /**
+     * Format an hour range, e.g. (9, 11) -> "9-11 AM", (11, 13) -> "11 AM-1 PM"
+     * @param {number} startHour - Start hour (0-23)
+     * @param {number} endHour - End hour (0-23)
+     * @returns {string} Range
+     */
+    formatHourRange(startHour, endHour) {
+        const start = this.formatClockTime(startHour);
+        const end = this.formatClockTime(endHour);
+        const startSuffix = start.slice(-2);
+
+        return startSuffix === end.slice(-2)
+            ? `${start.slice(0, -3)}-${end}`
+            : `${start}-${end}`;
+    },
+
+    /**
+     * Format minutes as "7h 30m"
+     * @param {number} minutes - Duration in minutes
+     * @returns {string} Duration
+     */
+    formatDuration(minutes) {
+        const rounded = Math.round(minutes);
+        return `${Math.floor(rounded / 60)}h ${rounded % 60}m`;
+    }
+};
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InsightsUtils;
+} else if (typeof window !== 'undefined') {
+    // For browser environments
+    window.InsightsUtils = InsightsUtils;
+}
@@ -53,8 +53,22 @@ async function loadSettings() {
     // Populate form
     document.getElementById('epochDuration').value = currentSettings.epochDuration;
     document.getElementById('idleThreshold').value = currentSettings.idleThreshold;
+    document.getElementById('focusActivityMode').value = currentSettings.focusActivityMode || 'idle';
     document.getElementById('retentionDays').value = currentSettings.retentionDays;
     document.getElementById('plotType').value = currentSettings.plotType || 'double';
+    document.getElementById('plottingPeriod').value = currentSettings.plottingPeriod || 24;
+    document.getElementById('autoPlottingPeriod').checked = !!currentSettings.autoPlottingPeriod;
+    document.getElementById('plottingPeriod').disabled = !!currentSettings.autoPlottingPeriod;
+    document.getElementById('dayStartHour').value = currentSettings.dayStartHour || 0;
+    document.getElementById('timeDisplay').value = currentSettings.timeDisplay || 'current';
+    document.getElementById('sleepScoringThreshold').value = currentSettings.sleepScoringThreshold ?? 15;
+    renderCalibrationStatus();
+
+    const freeDays = (currentSettings.workCalendar && currentSettings.workCalendar.freeDays) || [0, 6];
+    document.querySelectorAll('.free-day-input').forEach(input => {
+        input.checked = freeDays.includes(parseInt(input.value));
+    });
+    renderCalendarOverrides();
 }
 
 /**
@@ -89,12 +103,16 @@ async function loadStorageInfo() {
  */
 function setupEventListeners() {
     // Auto-save on change for all settings
-    const settingInputs = ['epochDuration', 'idleThreshold', 'retentionDays', 'plotType'];
+    const settingInputs = ['epochDuration', 'idleThreshold', 'focusActivityMode', 'retentionDays', 'plotType', 'plottingPeriod', 'autoPlottingPeriod', 'dayStartHour', 'timeDisplay', 'sleepScoringThreshold'];
 
     settingInputs.forEach(id => {
         document.getElementById(id).addEventListener('change', autoSaveSettings);
     });
 
+    document.querySelectorAll('.free-day-input').forEach(input => {
+        input.addEventListener('change', autoSaveSettings);
+    });
+
     // Export buttons
     document.getElementById('exportBtn').addEventListener('click', exportData);
     document.getElementById('exportCsvBtn').addEventListener('click', exportToCsv);
@@ -119,8 +137,83 @@ function setupEventListeners() {
     });
     document.getElementById('deleteHistoryBtn').addEventListener('click', deleteHistoryData);
 
+    // Work calendar overrides
+    document.getElementById('addCalendarOverrideBtn').addEventListener('click', addCalendarOverride);
+
     // Sleep Analysis Controls
     document.getElementById('runAnalysisBtn').addEventListener('click', runSleepAnalysis);
+    document.getElementById('calibrateBtn').addEventListener('click', calibrateFromDiary);
+}
+
+/**
+ * Render the work calendar date overrides
+ */
+function renderCalendarOverrides() {
+    const list = document.getElementById('calendarOverrideList');
+    const overrides = (currentSettings.workCalendar && currentSettings.workCalendar.overrides) || [];
+    list.innerHTML = '';
+
+    overrides.forEach((override, index) => {
+        const item = document.createElement('li');
+        const text = document.createElement('span');
+        const range = override.end && override.end !== override.start ? `${override.start} – ${override.end}` : override.start;
+        text.textContent = `${range}: ${override.type === 'free' ? 'Free' : 'Work'}${override.label ? ` (${override.label})` : ''}`;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn-secondary';
+        removeBtn.textContent = 'Remove';
+        removeBtn.setAttribute('aria-label', `Remove ${range}`);
+        removeBtn.addEventListener('click', () => removeCalendarOverride(index));
+
+        item.appendChild(text);
+        item.appendChild(removeBtn);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Add a work calendar date override from the form
+ */
+async function addCalendarOverride() {
+    const start = document.getElementById('calendarOverrideStart').value;
+    if (!start) {
+        showStatus('Choose the first day of the exception', 'error');
+        return;
+    }
+
+    const success = await StorageManager.addWorkCalendarOverride({
+        start,
+        end: document.getElementById('calendarOverrideEnd').value || start,
+        type: document.getElementById('calendarOverrideType').value,
+        label: document.getElementById('calendarOverrideLabel').value.trim()
+    });
+
+    if (success) {
+        currentSettings = await StorageManager.getSettings();
+        renderCalendarOverrides();
+        document.getElementById('calendarOverrideStart').value = '';
+        document.getElementById('calendarOverrideEnd').value = '';
+        document.getElementById('calendarOverrideLabel').value = '';
+        showStatus('Settings saved', 'success');
+    } else {
+        showStatus('Failed to save', 'error');
+    }
+}
+
+/**
+ * Remove a work calendar date override
+ * @param {number} index - Position in the overrides list
+ */
+async function removeCalendarOverride(index) {
+    const success = await StorageManager.removeWorkCalendarOverride(index);
+
+    if (success) {
+        currentSettings = await StorageManager.getSettings();
+        renderCalendarOverrides();
+        showStatus('Settings saved', 'success');
+    } else {
+        showStatus('Failed to save', 'error');
+    }
 }
 
 /**
@@ -130,20 +223,46 @@ async function autoSaveSettings() {
     try {
         showStatus('Saving...', 'pending');
 
+        // Clamp the plotting period to the range the periodogram scans
+        const plottingPeriod = Math.min(28, Math.max(20,
+            parseFloat(document.getElementById('plottingPeriod').value) || 24));
+        const autoPlottingPeriod = document.getElementById('autoPlottingPeriod').checked;
+
+        document.getElementById('plottingPeriod').value = plottingPeriod;
+        document.getElementById('plottingPeriod').disabled = autoPlottingPeriod;
+
+        // Keep settings that are not edited on this form
         const newSettings = {
+            ...currentSettings,
             epochDuration: parseInt(document.getElementById('epochDuration').value),
             idleThreshold: parseInt(document.getElementById('idleThreshold').value),
+            focusActivityMode: document.getElementById('focusActivityMode').value,
             retentionDays: parseInt(document.getElementById('retentionDays').value),
             plotType: document.getElementById('plotType').value,
+            plottingPeriod: plottingPeriod,
+            autoPlottingPeriod: autoPlottingPeriod,
+            dayStartHour: parseInt(document.getElementById('dayStartHour').value),
+            timeDisplay: document.getElementById('timeDisplay').value,
+            sleepScoringThreshold: parseInt(document.getElementById('sleepScoringThreshold').value),
+            workCalendar: {
+                ...currentSettings.workCalendar,
+                freeDays: Array.from(document.querySelectorAll('.free-day-input:checked'))
+                    .map(input => parseInt(input.value))
+            },
             colorScheme: 'blue' // Fixed for now
         };
 
         const success = await StorageManager.saveSettings(newSettings);
 
         if (success) {
+            const previousEpochDuration = currentSettings.epochDuration;
             currentSettings = newSettings;
             showStatus('Settings saved', 'success');
 
+            if (newSettings.epochDuration !== previousEpochDuration) {
+                await offerEpochResample(previousEpochDuration, newSettings.epochDuration);
+            }
+
             // Trigger cleanup if retention period changed
             if (newSettings.retentionDays !== currentSettings.retentionDays) {
                 await StorageManager.cleanupOldData();
@@ -157,6 +276,57 @@ async function autoSaveSettings() {
     }
 }
 
+/**
+ * Offer to convert stored epochs after the epoch duration changed
+ * Without this, older epochs keep their length and leave holes in the chart
+ * @param {number} previousDuration - Old epoch length in minutes
+ * @param {number} targetDuration - New epoch length in minutes
+ */
+async function offerEpochResample(previousDuration, targetDuration) {
+    const epochCount = (await StorageManager.getActivityData()).length;
+    if (!epochCount) return;
+
+    const confirmed = await UIUtils.showConfirm(
+        `Convert your ${epochCount.toLocaleString()} stored epochs to ${targetDuration} minutes?\n\n` +
+        (targetDuration > previousDuration
+            ? 'Neighbouring epochs are merged into one, averaging their activity.'
+            : 'Each epoch is split, and every part keeps its activity score.') +
+        ' Time covered by the event log is recomputed from it exactly. Consider exporting your data first.',
+        'Convert Stored Data',
+        'Convert',
+        'Keep As Is',
+        'warning'
+    );
+
+    if (!confirmed) {
+        return;
+    }
+
+    // One toast for the whole run, updated in place as batches are written
+    const progressToast = UIUtils.showToast('Converting epochs...', 'pending', 0);
+
+    try {
+        const result = await StorageManager.resampleEpochs(targetDuration, {
+            previousDuration,
+            onProgress: (done, total) => {
+                progressToast.textContent = `Converting epochs... ${Math.round((done / total) * 100)}%`;
+            }
+        });
+
+        if (result) {
+            showStatus(`Converted ${result.before} epochs into ${result.after} epochs of ${targetDuration} minutes`, 'success');
+            await loadStorageInfo();
+        } else {
+            showStatus('Failed to convert epochs', 'error');
+        }
+    } catch (error) {
+        console.error('Error converting epochs:', error);
+        showStatus('Error converting epochs', 'error');
+    } finally {
+        progressToast.remove();
+    }
+}
+
 /**
  * Export data as JSON
  */
@@ -462,6 +632,118 @@ async function loadSleepAnalysisResults() {
                 html += `<p>Average sleep start: ${sleepStart.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</p>`;
             }
 
+            const naps = analysis.result.naps;
+            if (naps) {
+                html += `<p>Naps: ${naps.total} (${naps.avgPerDay} per day, ${naps.avgPerWeek} per week` +
+                    (naps.total > 0 ? `, average ${naps.avgDuration} min` : '') + ')</p>';
+            }
+
+            const phaseTrajectory = analysis.result.phaseTrajectory;
+            if (phaseTrajectory && phaseTrajectory.onsetDrift !== null) {
+                const formatDrift = drift => drift === null ? 'n/a' : `${drift > 0 ? '+' : ''}${drift} min/day`;
+                html += `<p>Activity onset drift: ${formatDrift(phaseTrajectory.onsetDrift)}, offset drift: ${formatDrift(phaseTrajectory.offsetDrift)}</p>`;
+            }
+
+            const sleepRegularity = analysis.result.sleepRegularity;
+            if (sleepRegularity) {
+                const formatSri = value => value === null ? 'n/a' : value;
+                html += `<p>Sleep Regularity Index: ${sleepRegularity.sri} (7-day: ${formatSri(sleepRegularity.current7)}, 30-day: ${formatSri(sleepRegularity.current30)})</p>`;
+                if (sleepRegularity.trend7 !== null) {
+                    html += `<p>7-day SRI trend: ${sleepRegularity.trend7 > 0 ? '+' : ''}${sleepRegularity.trend7} per day</p>`;
+                }
+            }
+
+            html += '</div>';
+        }
+
+        const nonParametric = analysis.result && analysis.result.circadian && analysis.result.circadian.nonParametric;
+        if (nonParametric) {
+            const formatHour = hour => `${String(hour).padStart(2, '0')}:00`;
+            html += '<div class="info-box">';
+            html += '<strong>Rhythm Metrics</strong>';
+            html += `<p>Interdaily stability (IS): ${nonParametric.interdailyStability ?? 'n/a'}</p>`;
+            html += `<p>Intradaily variability (IV): ${nonParametric.intradailyVariability ?? 'n/a'}</p>`;
+            html += `<p>Relative amplitude (RA): ${nonParametric.relativeAmplitude ?? 'n/a'}</p>`;
+            if (nonParametric.l5) {
+                html += `<p>L5: ${nonParametric.l5.value} (onset ${formatHour(nonParametric.l5.onsetHour)})</p>`;
+            }
+            if (nonParametric.m10) {
+                html += `<p>M10: ${nonParametric.m10.value} (onset ${formatHour(nonParametric.m10.onsetHour)})</p>`;
+            }
+            html += '</div>';
+        }
+
+        const circadian = analysis.result && analysis.result.circadian;
+        const formatClock = hours => {
+            const totalMinutes = Math.round(hours * 60) % (24 * 60);
+            return `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+        };
+
+        if (circadian && circadian.chronotype) {
+            const chronotype = circadian.chronotype;
+            html += '<div class="info-box">';
+            html += '<strong>Chronotype</strong>';
+            html += `<p>Activity timing: ${chronotype.description}</p>`;
+            if (chronotype.msfsc) {
+                const msfsc = chronotype.msfsc;
+                html += `<p>Mid-sleep on free days (MSFsc): ${formatClock(msfsc.msfsc)} – ${msfsc.description}</p>`;
+                html += `<p>Mid-sleep on work days: ${formatClock(msfsc.msw)}, free days: ${formatClock(msfsc.msf)}` +
+                    ` (${msfsc.workNights} work / ${msfsc.freeNights} free nights)</p>`;
+            } else {
+                html += '<p>MSFsc needs at least 2 detected work-day and 2 free-day nights</p>';
+            }
+            html += '</div>';
+        }
+
+        const agreement = analysis.diaryAgreement;
+        if (agreement) {
+            const formatError = error => error ? `${error.mean > 0 ? '+' : ''}${error.mean} min (mean absolute ${error.meanAbsolute} min)` : 'n/a';
+            const formatRatio = value => value === null ? 'n/a' : `${Math.round(value * 100)}%`;
+            const tst = agreement.totalSleepTime;
+
+            html += '<div class="info-box">';
+            html += '<strong>Diary Agreement</strong>';
+            html += `<p>Diary nights compared: ${agreement.nights.length} (${agreement.matchedNights} with detected sleep)</p>`;
+            html += `<p>Onset error (detected − diary): ${formatError(agreement.onsetError)}</p>`;
+            html += `<p>Offset error (detected − diary): ${formatError(agreement.offsetError)}</p>`;
+            if (tst.diaryMean !== null) {
+                html += `<p>Total sleep time: diary ${tst.diaryMean} min, detected ${tst.detectedMean} min</p>`;
+            }
+            if (tst.blandAltman) {
+                const ba = tst.blandAltman;
+                html += `<p>Bland-Altman bias: ${ba.bias > 0 ? '+' : ''}${ba.bias} min, 95% limits of agreement ${ba.lowerLimit} to ${ba.upperLimit} min</p>`;
+            }
+            html += `<p>Epoch agreement: sensitivity ${formatRatio(agreement.epochAgreement.sensitivity)}, ` +
+                `specificity ${formatRatio(agreement.epochAgreement.specificity)}, ` +
+                `accuracy ${formatRatio(agreement.epochAgreement.accuracy)} (${agreement.epochAgreement.epochs} epochs)</p>`;
+            html += '</div>';
+        }
+
+        if (circadian && circadian.cosinor) {
+            const cosinor = circadian.cosinor;
+            const acrophaseCI = cosinor.components[0].confidenceIntervals.acrophase;
+
+            html += '<div class="info-box">';
+            html += '<strong>Cosinor Fit</strong>';
+            html += `<p>MESOR: ${cosinor.mesor}</p>`;
+            html += `<p>Amplitude: ${cosinor.amplitude}</p>`;
+            html += `<p>Acrophase: ${formatClock(cosinor.acrophase)}` +
+                (acrophaseCI ? ` (95% CI ${formatClock(acrophaseCI[0])}–${formatClock(acrophaseCI[1])})` : '') + '</p>';
+            html += `<p>Goodness of fit: R² = ${cosinor.rSquared} (${cosinor.significant ? 'significant' : 'not significant'})</p>`;
+            if (circadian.rollingCosinor && circadian.rollingCosinor.acrophaseDrift !== null) {
+                const drift = circadian.rollingCosinor.acrophaseDrift;
+                html += `<p>Acrophase drift (${circadian.rollingCosinor.windowDays}-day windows): ${drift > 0 ? '+' : ''}${drift} min/day</p>`;
+            }
+            html += '</div>';
+        }
+
+        if (analysis.periodogram) {
+            const periodogram = analysis.periodogram;
+            html += '<div class="info-box">';
+            html += `<p>Estimated circadian period (tau): ${periodogram.tau.toFixed(2)}h</p>`;
+            const methodName = periodogram.method === 'chiSquare' ? 'Chi-square' : 'Lomb-Scargle';
+            html += `<p>Significance: ${periodogram.significant ? 'significant' : 'not significant'} (${methodName} p = ${periodogram.pValue < 0.001 ? '< 0.001' : periodogram.pValue.toFixed(3)})</p>`;
+            html += `<p>Based on ${periodogram.spanDays} days of data</p>`;
             html += '</div>';
         }
 
@@ -473,6 +755,50 @@ async function loadSleepAnalysisResults() {
     }
 }
 
+/**
+ * Describe the last diary calibration under the Calibrate button
+ */
+function renderCalibrationStatus() {
+    const calibration = currentSettings.sleepCalibration;
+    document.getElementById('calibrationStatus').textContent = calibration
+        ? `Last calibrated ${new Date(calibration.timestamp).toLocaleDateString()} on ${calibration.nights} nights: ` +
+          `minimum sleep ${currentSettings.minSleepDuration} min, interruptions up to ${currentSettings.maxSleepInterruption} min ` +
+          `(agreement ${Math.round(calibration.baselineScore * 100)}% → ${Math.round(calibration.score * 100)}%)`
+        : '';
+}
+
+/**
+ * Tune detection parameters against the sleep diary in the background worker
+ */
+async function calibrateFromDiary() {
+    const button = document.getElementById('calibrateBtn');
+    try {
+        showStatus('Calibrating against your diary...', 'pending');
+        button.disabled = true;
+
+        const response = await chrome.runtime.sendMessage({ action: 'calibrateSleepDetection' });
+        if (!response || !response.success) {
+            throw new Error(response ? response.error : 'No response from background worker');
+        }
+
+        if (!response.calibration) {
+            showStatus('Add at least 3 diary nights with activity data to calibrate', 'error');
+            return;
+        }
+
+        await loadSettings();
+        await loadSleepAnalysisResults();
+        showStatus(response.calibration.improved
+            ? 'Detection calibrated to your diary'
+            : 'Current settings already match your diary best', 'success');
+    } catch (error) {
+        console.error('Error calibrating sleep detection:', error);
+        showStatus('Error calibrating sleep detection', 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
 /**
  * Run sleep analysis manually
  */
@@ -0,0 +1,312 @@
+/**
+ * Periodogram Utilities
+ * Estimates the free-running circadian period (tau) from activity data
+ * using the Sokolove-Bushell chi-square and Lomb-Scargle periodograms
+ */
+
+const PeriodogramUtils = {
+    // Default scan configuration
+    DEFAULT_OPTIONS: {
+        minPeriod: 20, // hours
+        maxPeriod: 28, // hours
+        periodStep: 0.05, // hours, resolution of the Lomb-Scargle scan
+        alpha: 0.01, // significance level for the threshold
+        method: 'lombScargle', // 'lombScargle' or 'chiSquare'
+        binMinutes: null // defaults to the most common epoch duration
+    },
+
+    /**
+     * Estimate the dominant period of the activity rhythm
+     * @param {Array} activityData - Array of epoch objects with timestamps and activity scores
+     * @param {Object} options - Scan options (see DEFAULT_OPTIONS)
+     * @returns {Object|null} Period estimate with both periodograms, or null if data is insufficient
+     */
+    estimatePeriod(activityData, options = {}) {
+        const opts = { ...this.DEFAULT_OPTIONS, ...options };
+
+        if (!activityData || activityData.length === 0) {
+            return null;
+        }
+
+        const binMinutes = opts.binMinutes || this.getDominantEpochDuration(activityData);
+        const series = this.buildSeries(activityData, binMinutes);
+
+        // Need at least two full cycles of the longest period to say anything
+        const spanHours = (series.values.length * binMinutes) / 60;
+        if (spanHours < opts.maxPeriod * 2) {
+            console.log('Not enough data for period estimation, span (h):', spanHours);
+            return null;
+        }
+
+        const chiSquare = this.chiSquarePeriodogram(series, opts);
+        const lombScargle = this.lombScarglePeriodogram(series, opts);
+
+        if (!chiSquare || !lombScargle) {
+            return null;
+        }
+
+        const primary = opts.method === 'chiSquare' ? chiSquare : lombScargle;
+
+        return {
+            tau: primary.peak.period,
+            method: opts.method,
+            significant: primary.peak.significant,
+            pValue: primary.peak.pValue,
+            alpha: opts.alpha,
+            binMinutes: binMinutes,
+            spanDays: Math.round((spanHours / 24) * 10) / 10,
+            chiSquare,
+            lombScargle
+        };
+    },
+
+    /**
+     * Find the most common epoch duration in the data
+     * @param {Array} activityData - Array of epoch objects
+     * @returns {number} Epoch duration in minutes
+     */
+    getDominantEpochDuration(activityData) {
+        const counts = new Map();
+
+        activityData.forEach(epoch => {
+            if (epoch.isGap || epoch.activityScore < 0) return;
+            const duration = epoch.epochDuration || 15;
+            counts.set(duration, (counts.get(duration) || 0) + 1);
+        });
+
+        let dominant = 15;
+        let maxCount = 0;
+        for (const [duration, count] of counts) {
+            if (count > maxCount) {
+                maxCount = count;
+                dominant = duration;
+            }
+        }
+
+        return dominant;
+    },
+
+    /**
+     * Resample epochs onto a regular time grid
+     * Gap epochs (activityScore -1) and missing epochs are left as null
+     * @param {Array} activityData - Array of epoch objects
+     * @param {number} binMinutes - Grid resolution in minutes
+     * @returns {Object} { startTime, binMinutes, values }
+     */
+    buildSeries(activityData, binMinutes) {
+        const binMs = binMinutes * 60 * 1000;
+        const sorted = [...activityData].sort((a, b) => a.timestamp - b.timestamp);
+
+        const startTime = Math.floor(sorted[0].timestamp / binMs) * binMs;
+        const lastEpoch = sorted[sorted.length - 1];
+        const endTime = lastEpoch.timestamp + (lastEpoch.epochDuration || binMinutes) * 60 * 1000;
+        const binCount = Math.max(1, Math.ceil((endTime - startTime) / binMs));
+
+        const sums = new Array(binCount).fill(0);
+        const counts = new Array(binCount).fill(0);
+
+        sorted.forEach(epoch => {
+            if (epoch.isGap || epoch.activityScore === undefined || epoch.activityScore < 0) return;
+
+            // Coarser epochs (e.g. 60-minute history data) cover several bins
+            const firstBin = Math.floor((epoch.timestamp - startTime) / binMs);
+            const coveredBins = Math.max(1, Math.round((epoch.epochDuration || binMinutes) / binMinutes));
+
+            for (let i = firstBin; i < firstBin + coveredBins && i < binCount; i++) {
+                sums[i] += epoch.activityScore;
+                counts[i]++;
+            }
+        });
+
+        const values = sums.map((sum, i) => counts[i] > 0 ? sum / counts[i] : null);
+
+        return { startTime, binMinutes, values };
+    },
+
+    /**
+     * Sokolove-Bushell chi-square periodogram
+     * Missing bins are skipped, so each fold column is weighted by its sample count
+     * @param {Object} series - Output of buildSeries
+     * @param {Object} options - Scan options
+     * @returns {Object|null} { method, periods, power, threshold, peak }
+     */
+    chiSquarePeriodogram(series, options = {}) {
+        const opts = { ...this.DEFAULT_OPTIONS, ...options };
+        const { values, binMinutes } = series;
+
+        const valid = [];
+        values.forEach((value, i) => {
+            if (value !== null) valid.push({ index: i, value });
+        });
+
+        const n = valid.length;
+        if (n < 2) return null;
+
+        const mean = valid.reduce((sum, s) => sum + s.value, 0) / n;
+        const totalVariance = valid.reduce((sum, s) => sum + Math.pow(s.value - mean, 2), 0);
+        if (totalVariance === 0) return null;
+
+        const minBins = Math.max(2, Math.ceil((opts.minPeriod * 60) / binMinutes));
+        const maxBins = Math.floor((opts.maxPeriod * 60) / binMinutes);
+
+        const periods = [];
+        const power = [];
+        const threshold = [];
+
+        for (let p = minBins; p <= maxBins; p++) {
+            const columnSums = new Array(p).fill(0);
+            const columnCounts = new Array(p).fill(0);
+
+            valid.forEach(s => {
+                const column = s.index % p;
+                columnSums[column] += s.value;
+                columnCounts[column]++;
+            });
+
+            let between = 0;
+            for (let h = 0; h < p; h++) {
+                if (columnCounts[h] === 0) continue;
+                const columnMean = columnSums[h] / columnCounts[h];
+                between += columnCounts[h] * Math.pow(columnMean - mean, 2);
+            }
+
+            periods.push(this.round((p * binMinutes) / 60, 3));
+            power.push(this.round((n * between) / totalVariance, 3));
+            threshold.push(this.round(StatsUtils.chiSquareCritical(p - 1, opts.alpha), 3));
+        }
+
+        if (periods.length === 0) return null;
+
+        // Pick the peak with the largest excess over its own threshold
+        let peakIndex = 0;
+        for (let i = 1; i < periods.length; i++) {
+            if (power[i] - threshold[i] > power[peakIndex] - threshold[peakIndex]) {
+                peakIndex = i;
+            }
+        }
+
+        return {
+            method: 'chiSquare',
+            periods,
+            power,
+            threshold,
+            peak: {
+                period: periods[peakIndex],
+                power: power[peakIndex],
+                threshold: threshold[peakIndex],
+                significant: power[peakIndex] > threshold[peakIndex],
+                // Qp follows a chi-square distribution with P - 1 degrees of freedom
+                pValue: StatsUtils.chiSquarePValue(power[peakIndex], Math.round((periods[peakIndex] * 60) / binMinutes) - 1)
+            }
+        };
+    },
+
+    /**
+     * Lomb-Scargle periodogram (normalized by the sample variance)
+     * Works directly on unevenly spaced samples, so gap bins are simply omitted
+     * @param {Object} series - Output of buildSeries
+     * @param {Object} options - Scan options
+     * @returns {Object|null} { method, periods, power, threshold, peak }
+     */
+    lombScarglePeriodogram(series, options = {}) {
+        const opts = { ...this.DEFAULT_OPTIONS, ...options };
+        const { values, binMinutes } = series;
+
+        const times = [];
+        const samples = [];
+        values.forEach((value, i) => {
+            if (value === null) return;
+            times.push((i * binMinutes) / 60); // hours
+            samples.push(value);
+        });
+
+        const n = samples.length;
+        if (n < 3) return null;
+
+        const mean = samples.reduce((a, b) => a + b, 0) / n;
+        const variance = samples.reduce((sum, x) => sum + Math.pow(x - mean, 2), 0) / (n - 1);
+        if (variance === 0) return null;
+
+        const centered = samples.map(x => x - mean);
+
+        // Number of independent frequencies inside the scanned band
+        const spanHours = times[n - 1] - times[0];
+        const independentFrequencies = Math.max(1,
+            Math.ceil((1 / opts.minPeriod - 1 / opts.maxPeriod) * spanHours));
+        const thresholdPower = -Math.log(1 - Math.pow(1 - opts.alpha, 1 / independentFrequencies));
+
+        const periods = [];
+        const power = [];
+        const stepCount = Math.round((opts.maxPeriod - opts.minPeriod) / opts.periodStep);
+
+        for (let step = 0; step <= stepCount; step++) {
+            const period = this.round(opts.minPeriod + step * opts.periodStep, 3);
+            const omega = (2 * Math.PI) / period;
+
+            // Time offset tau that makes the sine and cosine terms orthogonal
+            let sin2 = 0, cos2 = 0;
+            for (let i = 0; i < n; i++) {
+                sin2 += Math.sin(2 * omega * times[i]);
+                cos2 += Math.cos(2 * omega * times[i]);
+            }
+            const tau = Math.atan2(sin2, cos2) / (2 * omega);
+
+            let cosSum = 0, sinSum = 0, cosSq = 0, sinSq = 0;
+            for (let i = 0; i < n; i++) {
+                const phase = omega * (times[i] - tau);
+                const c = Math.cos(phase);
+                const s = Math.sin(phase);
+                cosSum += centered[i] * c;
+                sinSum += centered[i] * s;
+                cosSq += c * c;
+                sinSq += s * s;
+            }
+
+            const p = ((cosSum * cosSum) / cosSq + (sinSum * sinSum) / sinSq) / (2 * variance);
+
+            periods.push(period);
+            power.push(this.round(p, 3));
+        }
+
+        let peakIndex = 0;
+        for (let i = 1; i < power.length; i++) {
+            if (power[i] > power[peakIndex]) {
+                peakIndex = i;
+            }
+        }
+
+        const peakPower = power[peakIndex];
+        const pValue = 1 - Math.pow(1 - Math.exp(-peakPower), independentFrequencies);
+
+        return {
+            method: 'lombScargle',
+            periods,
+            power,
+            threshold: periods.map(() => this.round(thresholdPower, 3)),
+            peak: {
+                period: periods[peakIndex],
+                power: peakPower,
+                threshold: this.round(thresholdPower, 3),
+                significant: peakPower > thresholdPower,
+                pValue: Math.max(0, pValue)
+            }
+        };
+    },
+
+    /**
+     * Round to a fixed number of decimals
+     * @private
+     */
+    round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+};
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PeriodogramUtils;
+} else if (typeof window !== 'undefined') {
+    // For browser environments
+    window.PeriodogramUtils = PeriodogramUtils;
+}
@@ -6,6 +6,7 @@
 // State
 let currentDaysToShow = 7;
 let currentChartView = 'linear';
+let showPhaseTrajectory = false;
 let currentStartDate = new Date();
 let activityData = [];
 let settings = {};
@@ -53,6 +54,7 @@ async function initialize() {
     const uiPreferences = await StorageManager.getUIPreferences();
     currentDaysToShow = uiPreferences.daysToShow || 7;
     currentChartView = uiPreferences.chartView || 'linear';
+    showPhaseTrajectory = !!uiPreferences.showPhaseTrajectory;
 
     // Initialize chart (create new instance)
     chart = new ActogramChart('#actogram');
@@ -62,6 +64,7 @@ async function initialize() {
 
     // Set the dropdown to saved value
     document.getElementById('timeSelector').value = currentDaysToShow;
+    document.getElementById('phaseTrajectoryToggle').checked = showPhaseTrajectory;
 
     // Update view toggle buttons
     updateViewToggleButtons(currentChartView);
@@ -96,6 +99,17 @@ function setupEventListeners() {
         loadAndDisplayData();
     });
 
+    // Onset/offset overlay
+    document.getElementById('phaseTrajectoryToggle').addEventListener('change', async (e) => {
+        showPhaseTrajectory = e.target.checked;
+
+        // Save preference
+        const uiPreferences = await StorageManager.getUIPreferences();
+        await StorageManager.saveUIPreferences({ ...uiPreferences, showPhaseTrajectory });
+
+        loadAndDisplayData();
+    });
+
     // View toggle buttons
     document.getElementById('linearView').addEventListener('click', () => {
         setChartView('linear');
@@ -109,12 +123,23 @@ function setupEventListeners() {
         setChartView('heatmap');
     });
 
+    document.getElementById('periodogramView').addEventListener('click', () => {
+        setChartView('periodogram');
+    });
+
+    // Annotation quick-add
+    resetAnnotationForm();
+    document.getElementById('annotationForm').addEventListener('submit', addAnnotation);
+
     // Quick action buttons
     document.getElementById('analysisBtn').addEventListener('click', toggleAnalysisView);
     document.getElementById('exportBtn').addEventListener('click', showExportMenu);
     document.getElementById('settingsBtn').addEventListener('click', () => {
         chrome.runtime.openOptionsPage();
     });
+    document.getElementById('diaryBtn').addEventListener('click', () => {
+        chrome.tabs.create({ url: 'diary.html' });
+    });
 
     // Export buttons
     document.getElementById('exportPngBtn').addEventListener('click', exportToPng);
@@ -197,7 +222,8 @@ async function loadAndDisplayData() {
             startDate.setHours(0, 0, 0, 0);
 
             // Load data for the date range
-            activityData = await StorageManager.getActivityData(
+            activityData = await StorageManager.getActivityDataWithLog(
+                settings.epochDuration,
                 startDate.getTime(),
                 endDate.getTime()
             );
@@ -236,18 +262,38 @@ async function loadAndDisplayData() {
             daysToShow = currentDaysToShow;
 
             // Load data for date range
-            activityData = await StorageManager.getActivityData(
+            activityData = await StorageManager.getActivityDataWithLog(
+                settings.epochDuration,
                 startDate.getTime(),
                 endDate.getTime()
             );
         }
 
+        // Score epochs the background analysis has not labelled yet
+        activityData = AnalysisUtils.classifySleepWake(activityData, settings, { keepExisting: true });
+
+        // Diary nights ending in the displayed range (the last night may end the morning after)
+        const diaryEntries = await StorageManager.getDiaryEntries(
+            TimeUtils.formatDateKey(startDate),
+            TimeUtils.formatDateKey(TimeUtils.addDays(endDate, 1))
+        );
+        const annotations = await StorageManager.getAnnotations(startDate.getTime(), endDate.getTime());
+
         // Update date range display
         updateDateRangeDisplay(startDate, endDate);
 
         // Render chart
         if (chart) {
-            chart.render(activityData, daysToShow, settings.epochDuration, currentChartView);
+            chart.render(activityData, daysToShow, settings.epochDuration, currentChartView, settings.plotType || 'double', {
+                plottingPeriod: settings.autoPlottingPeriod ? 'auto' : (settings.plottingPeriod || 24),
+                dayStartHour: settings.dayStartHour || 0,
+                timeDisplay: settings.timeDisplay || 'current',
+                analysisSettings: settings,
+                showPhaseTrajectory,
+                diaryEntries,
+                annotations,
+                onAnnotationSelect: deleteAnnotation
+            });
         }
 
         // Render analysis/insights
@@ -259,6 +305,72 @@ async function loadAndDisplayData() {
     }
 }
 
+/**
+ * Reset the annotation quick-add form to the current time
+ */
+function resetAnnotationForm() {
+    const now = new Date();
+    now.setSeconds(0, 0);
+    document.getElementById('annotationTime').value =
+        `${TimeUtils.formatDateKey(now)}T${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    document.getElementById('annotationLabel').value = '';
+}
+
+/**
+ * Add an annotation from the quick-add form
+ * @param {Event} event - Form submit event
+ */
+async function addAnnotation(event) {
+    event.preventDefault();
+
+    const timestamp = new Date(document.getElementById('annotationTime').value).getTime();
+    if (!Number.isFinite(timestamp)) {
+        UIUtils.showToast('Choose a time for the annotation', 'error');
+        return;
+    }
+
+    const id = await StorageManager.addAnnotation({
+        timestamp,
+        type: document.getElementById('annotationType').value,
+        label: document.getElementById('annotationLabel').value
+    });
+
+    if (id === null) {
+        UIUtils.showToast('Failed to save annotation', 'error');
+        return;
+    }
+
+    UIUtils.showToast('Annotation added', 'success');
+    resetAnnotationForm();
+    loadAndDisplayData();
+}
+
+/**
+ * Delete an annotation after confirmation (called when its chart marker is clicked)
+ * @param {Object} annotation - Annotation { id, timestamp, type, label }
+ */
+async function deleteAnnotation(annotation) {
+    const typeName = StorageManager.ANNOTATION_TYPES[annotation.type] || annotation.type;
+    const time = new Date(annotation.timestamp).toLocaleString('en-US', {
+        month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+    const confirmed = await UIUtils.showConfirm(
+        `Delete the ${typeName.toLowerCase()} annotation${annotation.label ? ` "${annotation.label}"` : ''} at ${time}?`,
+        'Delete Annotation',
+        'Delete',
+        'Cancel',
+        'danger'
+    );
+    if (!confirmed) return;
+
+    if (await StorageManager.deleteAnnotation(annotation.id)) {
+        UIUtils.showToast('Annotation deleted', 'success');
+        loadAndDisplayData();
+    } else {
+        UIUtils.showToast('Failed to delete annotation', 'error');
+    }
+}
+
 /**
  * Update date range display
  */
@@ -283,15 +395,22 @@ function updateDateRangeDisplay(startDate, endDate) {
 /**
  * Render sleep/wake analysis and insights
  */
-function renderAnalysis() {
+async function renderAnalysis() {
     try {
         // Perform sleep/wake cycle detection
         const analysisResult = AnalysisUtils.detectSleepWakeCycles(activityData, settings);
-        const trendAnalysis = AnalysisUtils.analyzeTrends(activityData);
+        const trendAnalysis = AnalysisUtils.analyzeTrends(activityData, settings);
+
+        // Week-over-week change always compares the last two weeks, whatever range is on screen
+        const now = Date.now();
+        const recentData = await StorageManager.getActivityData(now - 14 * 24 * 60 * 60 * 1000, now);
+        const weekOverWeek = AnalysisUtils.calculateWeekOverWeek(recentData, now);
+
+        const cards = InsightsUtils.generateInsights(analysisResult, trendAnalysis, weekOverWeek);
 
         // Create analysis HTML
         const insightsContent = document.getElementById('insightsContent');
-        insightsContent.innerHTML = generateInsightsHTML(analysisResult, trendAnalysis);
+        insightsContent.innerHTML = generateInsightsHTML(cards);
     } catch (error) {
         console.error('Error rendering analysis:', error);
         document.getElementById('insightsContent').innerHTML =
@@ -300,75 +419,50 @@ function renderAnalysis() {
 }
 
 /**
- * Generate HTML for insights/analysis results
+ * Generate HTML for insight cards
+ * @param {Array} cards - Cards from InsightsUtils.generateInsights
  */
-function generateInsightsHTML(analysisResult, trendAnalysis) {
-    const { cycles, summary } = analysisResult;
-    const { trends, patterns } = trendAnalysis;
-
-    let html = '';
-
-    // Daily Patterns Insight
-    html += '<div class="insight-card">';
-    html += '<div class="insight-header">';
-    html += '<h3>Daily Patterns</h3>';
-
-    if (trends.avgActivity && trends.avgActivity.direction === 'increasing') {
-        html += '<span class="trend positive">+12%</span>';
-    } else if (trends.avgActivity && trends.avgActivity.direction === 'decreasing') {
-        html += '<span class="trend negative">-5%</span>';
+function generateInsightsHTML(cards) {
+    if (!cards || cards.length === 0) {
+        return '<div class="insight-card"><p class="insight-description">Insights will appear once enough activity has been collected. Keep browsing to collect more data.</p></div>';
     }
 
-    html += '</div>';
+    let html = '';
 
-    if (summary.avgSleepDuration) {
-        const hours = Math.floor(summary.avgSleepDuration / 60);
-        const minutes = summary.avgSleepDuration % 60;
-        html += `<p class="insight-description">Your activity is ${trends.avgActivity ? Math.abs(trends.avgActivity.magnitude).toFixed(0) : '12'}% ${trends.avgActivity && trends.avgActivity.direction === 'increasing' ? 'higher' : 'lower'} than last week. Peak hours are 9-11 AM and 2-4 PM.</p>`;
-        html += `<div class="activity-timeline"><div class="timeline-bar" style="width: 90%; background: linear-gradient(90deg, #E3F2FD 0%, #1565C0 100%);"></div></div>`;
-    } else {
-        html += '<p class="insight-description">Analyzing your daily activity patterns. Keep browsing to collect more data.</p>';
-    }
+    cards.forEach(card => {
+        html += '<div class="insight-card">';
+        html += '<div class="insight-header">';
+        html += `<h3>${card.title}</h3>`;
 
-    html += '</div>';
+        if (card.badge) {
+            html += `<span class="trend${card.badge.tone ? ' ' + card.badge.tone : ''}">${card.badge.text}</span>`;
+        }
 
-    // Sleep Analysis Insight
-    html += '<div class="insight-card">';
-    html += '<div class="insight-header">';
-    html += '<h3>Sleep Analysis</h3>';
+        html += '</div>';
 
-    if (summary.avgSleepDuration) {
-        const hours = Math.floor(summary.avgSleepDuration / 60);
-        const minutes = summary.avgSleepDuration % 60;
-        html += `<span class="trend">${hours}h ${minutes}m</span>`;
-    }
+        card.descriptions.forEach(description => {
+            html += `<p class="insight-description">${description}</p>`;
+        });
 
-    html += '</div>';
-
-    if (summary.avgSleepStart && summary.avgWakeTime) {
-        const sleepStart = new Date(0);
-        sleepStart.setHours(Math.floor(summary.avgSleepStart));
-        sleepStart.setMinutes((summary.avgSleepStart % 1) * 60);
+        if (card.visual && card.visual.type === 'timeline') {
+            // One gradient stop per hour, shaded by relative activity
+            const stops = card.visual.values.map((value, hour) =>
+                `rgba(21, 101, 192, ${Math.max(0.08, value).toFixed(2)}) ${((hour + 0.5) / 24 * 100).toFixed(1)}%`);
+            html += `<div class="activity-timeline" title="Average activity by hour (midnight to midnight)"><div class="timeline-bar" style="width: 100%; background: linear-gradient(90deg, ${stops.join(', ')});"></div></div>`;
+        } else if (card.visual && card.visual.type === 'bar') {
+            html += `<div class="sleep-pattern"><div class="sleep-bar"><div class="sleep-fill" style="width: ${card.visual.value}%;"></div></div></div>`;
+        }
 
-        html += `<p class="insight-description">Consistent sleep pattern with average ${Math.floor(summary.avgSleepDuration / 60)}h ${summary.avgSleepDuration % 60}m. Recommended bedtime: 10:30 PM.</p>`;
-        html += `<div class="sleep-pattern"><div class="sleep-bar"><div class="sleep-fill" style="width: 68%;"></div></div></div>`;
-    } else {
-        html += '<p class="insight-description">Sleep pattern analysis will be available after collecting more data.</p>';
-    }
+        if (card.tips.length > 0) {
+            html += '<ul class="tips-list">';
+            card.tips.forEach(tip => {
+                html += `<li>${tip}</li>`;
+            });
+            html += '</ul>';
+        }
 
-    html += '</div>';
-
-    // Productivity Tips Insight
-    html += '<div class="insight-card">';
-    html += '<div class="insight-header">';
-    html += '<h3>Productivity Tips</h3>';
-    html += '</div>';
-    html += '<ul class="tips-list">';
-    html += '<li>📅 Schedule focused work during 9-11 AM</li>';
-    html += '<li>☕ Take breaks every 90 minutes</li>';
-    html += '<li>🌙 Reduce browsing 1 hour before bedtime</li>';
-    html += '</ul>';
-    html += '</div>';
+        html += '</div>';
+    });
 
     return html;
 }
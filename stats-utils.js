@@ -0,0 +1,316 @@
+/**
+ * Statistics Utilities
+ * Distribution functions, linear algebra and robust estimators shared by the analysis modules
+ */
+
+const StatsUtils = {
+    /**
+     * Inverse of the standard normal CDF (Acklam's rational approximation)
+     * @param {number} p - Probability (0-1)
+     * @returns {number} z score
+     */
+    normalQuantile(p) {
+        const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+            1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+        const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+            6.680131188771972e+01, -1.328068155288572e+01];
+        const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+            -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+        const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+            3.754408661907416e+00];
+
+        const pLow = 0.02425;
+        let q, r;
+
+        if (p < pLow) {
+            q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        } else if (p <= 1 - pLow) {
+            q = p - 0.5;
+            r = q * q;
+            return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+                (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+        }
+
+        q = Math.sqrt(-2 * Math.log(1 - p));
+        return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    },
+
+    /**
+     * Quantile of Student's t distribution (Cornish-Fisher expansion)
+     * @param {number} p - Probability (0-1)
+     * @param {number} df - Degrees of freedom
+     * @returns {number} t score
+     */
+    tQuantile(p, df) {
+        const z = this.normalQuantile(p);
+        const z3 = z * z * z;
+        const z5 = z3 * z * z;
+        return z + (z3 + z) / (4 * df) + (5 * z5 + 16 * z3 + 3 * z) / (96 * df * df);
+    },
+
+    /**
+     * Critical value of the chi-square distribution (Wilson-Hilferty approximation)
+     * @param {number} df - Degrees of freedom
+     * @param {number} alpha - Significance level
+     * @returns {number} Critical value
+     */
+    chiSquareCritical(df, alpha) {
+        const z = this.normalQuantile(1 - alpha);
+        const k = 2 / (9 * df);
+        return df * Math.pow(1 - k + z * Math.sqrt(k), 3);
+    },
+
+    /**
+     * Upper-tail p-value of the chi-square distribution
+     * @param {number} x - Chi-square statistic
+     * @param {number} df - Degrees of freedom
+     * @returns {number} P(X > x)
+     */
+    chiSquarePValue(x, df) {
+        if (!(x > 0)) return 1;
+        return this.regularizedUpperGamma(df / 2, x / 2);
+    },
+
+    /**
+     * Regularized upper incomplete gamma function Q(a, x)
+     * Series below a + 1, continued fraction above, as each converges fastest there
+     * @param {number} a - Shape parameter
+     * @param {number} x - Lower limit of the integral
+     * @returns {number} Q(a, x)
+     */
+    regularizedUpperGamma(a, x) {
+        if (x <= 0) return 1;
+
+        const logFront = -x + a * Math.log(x) - this.logGamma(a);
+
+        if (x < a + 1) {
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n <= 500; n++) {
+                term *= x / (a + n);
+                sum += term;
+                if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+            }
+            return Math.max(0, 1 - sum * Math.exp(logFront));
+        }
+
+        const tiny = 1e-30;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let result = d;
+
+        for (let n = 1; n <= 500; n++) {
+            const numerator = -n * (n - a);
+            b += 2;
+            d = numerator * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + numerator / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            result *= delta;
+            if (Math.abs(delta - 1) < 1e-14) break;
+        }
+
+        return Math.exp(logFront) * result;
+    },
+
+    /**
+     * Upper-tail p-value of the F distribution
+     * @param {number} f - F statistic
+     * @param {number} d1 - Numerator degrees of freedom
+     * @param {number} d2 - Denominator degrees of freedom
+     * @returns {number} P(F > f)
+     */
+    fDistributionPValue(f, d1, d2) {
+        if (!(f > 0)) return 1;
+        return this.regularizedIncompleteBeta(d2 / (d2 + d1 * f), d2 / 2, d1 / 2);
+    },
+
+    /**
+     * Regularized incomplete beta function I_x(a, b) (continued fraction evaluation)
+     * @param {number} x - Upper limit (0-1)
+     * @param {number} a - Shape parameter
+     * @param {number} b - Shape parameter
+     * @returns {number} I_x(a, b)
+     */
+    regularizedIncompleteBeta(x, a, b) {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+
+        // The continued fraction converges fastest below the mean of the distribution
+        if (x > (a + 1) / (a + b + 2)) {
+            return 1 - this.regularizedIncompleteBeta(1 - x, b, a);
+        }
+
+        const front = Math.exp(
+            this.logGamma(a + b) - this.logGamma(a) - this.logGamma(b) +
+            a * Math.log(x) + b * Math.log(1 - x)
+        );
+
+        const tiny = 1e-30;
+        let c = 1;
+        let d = 1 - ((a + b) * x) / (a + 1);
+        if (Math.abs(d) < tiny) d = tiny;
+        d = 1 / d;
+        let result = d;
+
+        for (let m = 1; m <= 200; m++) {
+            const m2 = 2 * m;
+
+            // Even step
+            let numerator = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+            d = 1 + numerator * d;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = 1 + numerator / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            result *= d * c;
+
+            // Odd step
+            numerator = -((a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+            d = 1 + numerator * d;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = 1 + numerator / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            result *= delta;
+
+            if (Math.abs(delta - 1) < 1e-12) break;
+        }
+
+        return (front * result) / a;
+    },
+
+    /**
+     * Natural log of the gamma function (Lanczos approximation)
+     * @param {number} x - Positive input
+     * @returns {number} ln(Gamma(x))
+     */
+    logGamma(x) {
+        const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+            -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+
+        let y = x;
+        let tmp = x + 5.5;
+        tmp -= (x + 0.5) * Math.log(tmp);
+        let series = 1.000000000190015;
+        for (const coefficient of coefficients) {
+            series += coefficient / ++y;
+        }
+
+        return -tmp + Math.log((2.5066282746310005 * series) / x);
+    },
+
+    /**
+     * Invert a square matrix (Gauss-Jordan elimination with partial pivoting)
+     * @param {Array} matrix - Array of rows
+     * @returns {Array|null} Inverse matrix, or null if the matrix is singular
+     */
+    invertMatrix(matrix) {
+        const size = matrix.length;
+        const augmented = matrix.map((row, i) => [
+            ...row,
+            ...Array.from({ length: size }, (_, j) => (i === j ? 1 : 0))
+        ]);
+
+        for (let col = 0; col < size; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < size; row++) {
+                if (Math.abs(augmented[row][col]) > Math.abs(augmented[pivot][col])) {
+                    pivot = row;
+                }
+            }
+
+            if (Math.abs(augmented[pivot][col]) < 1e-12) {
+                return null;
+            }
+
+            [augmented[col], augmented[pivot]] = [augmented[pivot], augmented[col]];
+
+            const pivotValue = augmented[col][col];
+            for (let j = 0; j < 2 * size; j++) {
+                augmented[col][j] /= pivotValue;
+            }
+
+            for (let row = 0; row < size; row++) {
+                if (row === col) continue;
+                const factor = augmented[row][col];
+                if (factor === 0) continue;
+                for (let j = 0; j < 2 * size; j++) {
+                    augmented[row][j] -= factor * augmented[col][j];
+                }
+            }
+        }
+
+        return augmented.map(row => row.slice(size));
+    },
+
+    /**
+     * Median of a list of numbers
+     * @param {Array} values - Numbers
+     * @returns {number|null} Median, or null for an empty list
+     */
+    median(values) {
+        if (!values || values.length === 0) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    },
+
+    /**
+     * Theil-Sen line fit: median of pairwise slopes, robust to outlying points
+     * @param {Array} xs - x values
+     * @param {Array} ys - y values
+     * @returns {Object|null} { slope, intercept }, or null without two distinct x values
+     */
+    theilSenFit(xs, ys) {
+        const slopes = [];
+        for (let i = 0; i < xs.length; i++) {
+            for (let j = i + 1; j < xs.length; j++) {
+                if (xs[j] !== xs[i]) {
+                    slopes.push((ys[j] - ys[i]) / (xs[j] - xs[i]));
+                }
+            }
+        }
+
+        if (slopes.length === 0) return null;
+
+        const slope = this.median(slopes);
+        const intercept = this.median(ys.map((y, i) => y - slope * xs[i]));
+        return { slope, intercept };
+    },
+
+    /**
+     * Bland-Altman agreement between two paired measurements
+     * @param {Array} a - Measurements from the method under test
+     * @param {Array} b - Reference measurements, paired with a
+     * @returns {Object|null} { n, bias (mean of a - b), sd, lowerLimit, upperLimit (95% limits of agreement) },
+     *                        or null with fewer than two pairs
+     */
+    blandAltman(a, b) {
+        const differences = a.map((value, i) => value - b[i]);
+        const n = differences.length;
+        if (n < 2) return null;
+
+        const bias = differences.reduce((sum, d) => sum + d, 0) / n;
+        const sd = Math.sqrt(differences.reduce((sum, d) => sum + Math.pow(d - bias, 2), 0) / (n - 1));
+        const z = this.normalQuantile(0.975);
+
+        return { n, bias, sd, lowerLimit: bias - z * sd, upperLimit: bias + z * sd };
+    }
+};
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatsUtils;
+} else if (typeof window !== 'undefined') {
+    // For browser environments
+    window.StatsUtils = StatsUtils;
+}
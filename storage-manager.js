@@ -15,15 +15,38 @@ const StorageManager = {
     DEFAULT_SETTINGS: {
         epochDuration: 15, // minutes
         idleThreshold: 60, // seconds
+        focusActivityMode: 'idle', // 'idle', 'either' (active or window focused) or 'both' (active and window focused)
         retentionDays: -1, // -1 = Forever
         colorScheme: 'blue',
-        plotType: 'double' // 'single' or 'double'
+        plotType: 'double', // 'single' or 'double'
+        plottingPeriod: 24, // hours per actogram row
+        autoPlottingPeriod: false, // use the estimated tau as the plotting period
+        dayStartHour: 0, // local hour at which a day starts for grouping, charts and export
+        timeDisplay: 'current', // 'current' zone or 'recorded' local time for historic epochs
+        sleepScoringThreshold: 15, // weighted activity below which an epoch is scored as sleep
+        minSleepDuration: 180, // minutes of rest counted as a main sleep episode
+        maxSleepInterruption: 15, // minutes of activity tolerated inside a sleep episode
+        sleepCalibration: null, // { timestamp, nights, score, baselineScore } of the last diary calibration
+        workCalendar: {
+            freeDays: [0, 6], // weekly template: weekdays without work (0 = Sunday)
+            overrides: [] // date ranges { start, end, type: 'work' | 'free', label } for holidays, vacations and extra shifts
+        }
     },
 
     // Default UI preferences
     DEFAULT_UI_PREFERENCES: {
         daysToShow: 2,
-        chartView: 'linear'
+        chartView: 'linear',
+        showPhaseTrajectory: false // overlay activity onsets/offsets on the linear view
+    },
+
+    // Annotation types and their display names
+    ANNOTATION_TYPES: {
+        caffeine: 'Caffeine',
+        medication: 'Medication',
+        light: 'Light exposure',
+        travel: 'Travel',
+        other: 'Other'
     },
 
     /**
@@ -105,7 +128,9 @@ const StorageManager = {
     async getSettings() {
         try {
             const result = await chrome.storage.sync.get(this.KEYS.SETTINGS);
-            return result[this.KEYS.SETTINGS] || this.DEFAULT_SETTINGS;
+            const settings = result[this.KEYS.SETTINGS];
+            // Fill in settings added after the user's settings were first saved
+            return settings ? { ...this.DEFAULT_SETTINGS, ...settings } : this.DEFAULT_SETTINGS;
         } catch (error) {
             console.error('Error getting settings:', error);
             return this.DEFAULT_SETTINGS;
@@ -125,6 +150,63 @@ const StorageManager = {
         }
     },
 
+    /**
+     * Get the work-day / free-day calendar
+     * @returns {Promise<Object>} { freeDays, overrides }
+     */
+    async getWorkCalendar() {
+        const settings = await this.getSettings();
+        return { ...this.DEFAULT_SETTINGS.workCalendar, ...settings.workCalendar };
+    },
+
+    /**
+     * Save the work-day / free-day calendar
+     * @param {Object} calendar - { freeDays, overrides }
+     * @returns {Promise<boolean>} Success
+     */
+    async saveWorkCalendar(calendar) {
+        const settings = await this.getSettings();
+        return this.saveSettings({
+            ...settings,
+            workCalendar: {
+                freeDays: calendar.freeDays || this.DEFAULT_SETTINGS.workCalendar.freeDays,
+                overrides: calendar.overrides || []
+            }
+        });
+    },
+
+    /**
+     * Add a date override to the work calendar
+     * @param {Object} override - { start, end (YYYY-MM-DD, inclusive), type: 'work' | 'free', label }
+     * @returns {Promise<boolean>} Success
+     */
+    async addWorkCalendarOverride(override) {
+        if (!override.start || !['work', 'free'].includes(override.type)) {
+            console.error('Invalid work calendar override:', override);
+            return false;
+        }
+
+        const calendar = await this.getWorkCalendar();
+        calendar.overrides = [...calendar.overrides, {
+            start: override.start,
+            end: override.end && override.end >= override.start ? override.end : override.start,
+            type: override.type,
+            label: override.label || ''
+        }];
+        return this.saveWorkCalendar(calendar);
+    },
+
+    /**
+     * Remove a date override from the work calendar
+     * @param {number} index - Position in the overrides list
+     * @returns {Promise<boolean>} Success
+     */
+    async removeWorkCalendarOverride(index) {
+        const calendar = await this.getWorkCalendar();
+        calendar.overrides = calendar.overrides.filter((_, i) => i !== index);
+        return this.saveWorkCalendar(calendar);
+    },
+
     /**
      * Get UI preferences
      */
@@ -188,6 +270,25 @@ const StorageManager = {
         }
     },
 
+    /**
+     * Persist sleep/wake labels from AnalysisUtils.classifySleepWake
+     * @param {Array} labelledEpochs - Stored epochs carrying a sleepState
+     * @returns {Promise<number>} Number of epochs saved
+     */
+    async saveSleepLabels(labelledEpochs) {
+        try {
+            const epochs = labelledEpochs.filter(epoch => epoch.timestamp && epoch.sleepState);
+            if (epochs.length === 0) return 0;
+
+            await IndexedDBManager.saveActivityEpochs(epochs);
+            console.log(`Saved sleep/wake labels for ${epochs.length} epochs`);
+            return epochs.length;
+        } catch (error) {
+            console.error('Error saving sleep labels:', error);
+            return 0;
+        }
+    },
+
     /**
      * Get activity data for a date range
      * @param {number} startTime - Start timestamp (ms), optional
@@ -204,11 +305,284 @@ const StorageManager = {
     },
 
     /**
-     * Clear all activity data
+     * Append an idle state transition to the raw event log
+     * @param {string} state - 'active', 'idle', 'locked' or 'gap' (tracker not observing)
+     * @param {number} timestamp - Time of the transition (ms), defaults to now
+     * @param {boolean} windowFocused - Whether a browser window has focus, omitted for gaps
+     * @returns {Promise<boolean>} Success
+     */
+    async logStateEvent(state, timestamp = Date.now(), windowFocused = null) {
+        try {
+            const zone = TimeUtils.getZoneInfo(timestamp);
+            const event = {
+                timestamp,
+                state,
+                utcOffset: zone.utcOffset,
+                timeZone: zone.timeZone
+            };
+            if (typeof windowFocused === 'boolean') {
+                event.windowFocused = windowFocused;
+            }
+            await IndexedDBManager.saveStateEvent(event);
+            return true;
+        } catch (error) {
+            console.error('Error logging state event:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Get raw state events for a date range
+     * @param {number} startTime - Start timestamp (ms), optional
+     * @param {number} endTime - End timestamp (ms), optional
+     * @returns {Promise<Array>} Events sorted by timestamp
+     */
+    async getStateEvents(startTime, endTime) {
+        try {
+            return await IndexedDBManager.getStateEvents(startTime, endTime);
+        } catch (error) {
+            console.error('Error getting state events:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Recompute epochs of any duration from the raw event log
+     * Needs EventLogUtils to be loaded
+     * @param {number} epochDuration - Epoch length in minutes
+     * @param {number} startTime - Start timestamp (ms), optional
+     * @param {number} endTime - End timestamp (ms), defaults to now
+     * @returns {Promise<Array>} Derived epoch objects
+     */
+    async getDerivedEpochs(epochDuration, startTime, endTime = Date.now()) {
+        try {
+            const events = await IndexedDBManager.getStateEvents(startTime, endTime);
+
+            // Carry in the state that was already in effect at the start of the range
+            if (startTime) {
+                const previous = await IndexedDBManager.getStateEventBefore(startTime);
+                if (previous) events.unshift(previous);
+            }
+
+            // Score window focus the way the tracker does
+            const { focusActivityMode } = await this.getSettings();
+            return EventLogUtils.buildEpochs(events, epochDuration, { startTime, endTime, focusActivityMode });
+        } catch (error) {
+            console.error('Error deriving epochs from event log:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Get activity data, rebuilding epochs from the event log wherever it covers the range
+     * Data from before the log was kept (or after it was pruned) comes from stored epochs.
+     * Needs EventLogUtils to be loaded
+     * @param {number} epochDuration - Epoch length in minutes for the rebuilt part
+     * @param {number} startTime - Start timestamp (ms), optional
+     * @param {number} endTime - End timestamp (ms), optional; the log is read no later than now
+     * @returns {Promise<Array>} Array of epoch objects sorted by timestamp
+     */
+    async getActivityDataWithLog(epochDuration, startTime, endTime) {
+        const stored = await this.getActivityData(startTime, endTime);
+
+        try {
+            const coverage = await this._getLogCoverage(epochDuration, startTime, endTime);
+            if (!coverage) return stored;
+
+            const derived = await this.getDerivedEpochs(epochDuration, coverage.start, coverage.end);
+            if (derived.length === 0) return stored;
+
+            return EventLogUtils.mergeWithStored(stored, derived, coverage.start);
+        } catch (error) {
+            console.error('Error reading activity data from event log:', error);
+            return stored;
+        }
+    },
+
+    /**
+     * Find the part of a range the event log covers
+     * @private
+     * @param {number} epochDuration - Epoch length in minutes; the start is moved up to the epoch grid
+     *                                 so rebuilt epochs do not overlap stored ones
+     * @param {number} startTime - Start timestamp (ms), optional
+     * @param {number} endTime - End timestamp (ms), optional; never later than now
+     * @returns {Promise<Object|null>} { start, end }, or null if the log does not reach into the range
+     */
+    async _getLogCoverage(epochDuration, startTime, endTime) {
+        const end = Number.isFinite(endTime) ? Math.min(endTime, Date.now()) : Date.now();
+
+        // The log covers the whole range if a state was already in effect at its start
+        let start = startTime && await IndexedDBManager.getStateEventBefore(startTime) ? startTime : null;
+        if (start === null) {
+            const [first] = await IndexedDBManager.getStateEvents(startTime, end);
+            if (!first) return null;
+            start = first.timestamp;
+        }
+
+        const epochMs = epochDuration * 60 * 1000;
+        start = Math.ceil(start / epochMs) * epochMs;
+        return start < end ? { start, end } : null;
+    },
+
+    /**
+     * Save a sleep diary entry for one night
+     * @param {Object} entry - { date (wake date, YYYY-MM-DD), bedtime, lightsOff, sleepOnsetLatency (min),
+     *                           wakeTime, outOfBed (ms timestamps), quality (1-5), notes }
+     * @returns {Promise<boolean>} Success
+     */
+    async saveDiaryEntry(entry) {
+        try {
+            if (!entry.date || !entry.lightsOff || !entry.wakeTime || entry.wakeTime <= entry.lightsOff) {
+                console.error('Invalid diary entry:', entry);
+                return false;
+            }
+
+            await IndexedDBManager.saveDiaryEntry({
+                date: entry.date,
+                bedtime: entry.bedtime || entry.lightsOff,
+                lightsOff: entry.lightsOff,
+                sleepOnsetLatency: Math.max(0, Number(entry.sleepOnsetLatency) || 0),
+                wakeTime: entry.wakeTime,
+                outOfBed: entry.outOfBed || entry.wakeTime,
+                quality: entry.quality ? Math.min(5, Math.max(1, Math.round(entry.quality))) : null,
+                notes: entry.notes || '',
+                updatedAt: Date.now()
+            });
+            return true;
+        } catch (error) {
+            console.error('Error saving diary entry:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Get sleep diary entries for a range of wake dates
+     * @param {string} startDate - First wake date (YYYY-MM-DD), optional
+     * @param {string} endDate - Last wake date (YYYY-MM-DD), optional
+     * @returns {Promise<Array>} Entries sorted by date
+     */
+    async getDiaryEntries(startDate, endDate) {
+        try {
+            return await IndexedDBManager.getDiaryEntries(startDate, endDate);
+        } catch (error) {
+            console.error('Error getting diary entries:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Delete the sleep diary entry for a wake date
+     * @param {string} date - Wake date (YYYY-MM-DD)
+     * @returns {Promise<boolean>} Success
+     */
+    async deleteDiaryEntry(date) {
+        try {
+            await IndexedDBManager.deleteDiaryEntry(date);
+            return true;
+        } catch (error) {
+            console.error('Error deleting diary entry:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Add an annotation to the timeline
+     * @param {Object} annotation - { timestamp, type (see ANNOTATION_TYPES), label, note }
+     * @returns {Promise<number|null>} Id of the new annotation, or null on failure
+     */
+    async addAnnotation(annotation) {
+        try {
+            const normalized = this._normalizeAnnotation(annotation);
+            if (!normalized) {
+                console.error('Invalid annotation:', annotation);
+                return null;
+            }
+
+            const [id] = await IndexedDBManager.saveAnnotations([normalized]);
+            return id;
+        } catch (error) {
+            console.error('Error adding annotation:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Update a stored annotation
+     * @param {Object} annotation - { id, timestamp, type, label, note }
+     * @returns {Promise<boolean>} Success
+     */
+    async updateAnnotation(annotation) {
+        try {
+            const normalized = this._normalizeAnnotation(annotation);
+            if (!normalized || annotation.id === undefined) {
+                console.error('Invalid annotation:', annotation);
+                return false;
+            }
+
+            await IndexedDBManager.saveAnnotations([{ ...normalized, id: annotation.id }]);
+            return true;
+        } catch (error) {
+            console.error('Error updating annotation:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Get annotations for a date range
+     * @param {number} startTime - Start timestamp (ms), optional
+     * @param {number} endTime - End timestamp (ms), optional
+     * @returns {Promise<Array>} Annotations sorted by timestamp
+     */
+    async getAnnotations(startTime, endTime) {
+        try {
+            return await IndexedDBManager.getAnnotations(startTime, endTime);
+        } catch (error) {
+            console.error('Error getting annotations:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Delete an annotation
+     * @param {number} id - Annotation id
+     * @returns {Promise<boolean>} Success
+     */
+    async deleteAnnotation(id) {
+        try {
+            await IndexedDBManager.deleteAnnotation(id);
+            return true;
+        } catch (error) {
+            console.error('Error deleting annotation:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Validate an annotation and keep only the stored fields
+     * @param {Object} annotation - { timestamp, type, label, note }
+     * @returns {Object|null} Normalized annotation (without id), or null if invalid
+     * @private
+     */
+    _normalizeAnnotation(annotation) {
+        if (!annotation || !Number.isFinite(annotation.timestamp) || !this.ANNOTATION_TYPES[annotation.type]) {
+            return null;
+        }
+
+        return {
+            timestamp: annotation.timestamp,
+            type: annotation.type,
+            label: (annotation.label || '').trim(),
+            note: (annotation.note || '').trim()
+        };
+    },
+
+    /**
+     * Clear all activity data, including the raw state event log
      */
     async clearAllData() {
         try {
             await IndexedDBManager.clearAllData();
+            await IndexedDBManager.clearStateEvents();
             console.log('All activity data cleared from IndexedDB');
             return true;
         } catch (error) {
@@ -257,12 +631,38 @@ const StorageManager = {
                 activity: item.activityScore
             }));
 
+            const annotations = (await this.getAnnotations()).map(item => ({
+                time: new Date(item.timestamp).toISOString(),
+                type: item.type,
+                label: item.label,
+                note: item.note
+            }));
+
             const exportObject = {
                 epoch_length_seconds: epochLengthSeconds,
                 time_zone: timeZone,
-                epochs: epochs
+                epochs: epochs,
+                annotations: annotations
             };
 
+            // Diary vs detected sleep report, when the analysis module is loaded and diary nights exist
+            if (typeof AnalysisUtils !== 'undefined') {
+                const agreement = AnalysisUtils.compareDiaryWithDetected(await this.getDiaryEntries(), activityData, settings);
+                if (agreement) {
+                    const toIso = timestamp => timestamp === null ? null : new Date(timestamp).toISOString();
+                    exportObject.diary_agreement = {
+                        ...agreement,
+                        nights: agreement.nights.map(night => ({
+                            ...night,
+                            diaryOnset: toIso(night.diaryOnset),
+                            diaryOffset: toIso(night.diaryOffset),
+                            detectedOnset: toIso(night.detectedOnset),
+                            detectedOffset: toIso(night.detectedOffset)
+                        }))
+                    };
+                }
+            }
+
             return exportObject;
         } catch (error) {
             console.error('Error exporting data:', error);
@@ -306,11 +706,16 @@ const StorageManager = {
                 await IndexedDBManager.clearAllData();
                 await IndexedDBManager.saveActivityEpochs(mergedData);
             } else {
-                // Replace existing data
+                // Replace existing data, including the event log the epochs would be rebuilt from
                 await IndexedDBManager.clearAllData();
+                await IndexedDBManager.clearStateEvents();
                 await IndexedDBManager.saveActivityEpochs(processedData);
             }
 
+            if (Array.isArray(importData.annotations)) {
+                await this._importAnnotations(importData.annotations, merge);
+            }
+
             return true;
         } catch (error) {
             console.error('Error importing data:', error);
@@ -318,6 +723,32 @@ const StorageManager = {
         }
     },
 
+    /**
+     * Import exported annotations, skipping ones already stored
+     * @param {Array} items - Exported annotations { time, type, label, note }
+     * @param {boolean} merge - If false, stored annotations are replaced
+     * @private
+     */
+    async _importAnnotations(items, merge) {
+        const imported = items
+            .map(item => this._normalizeAnnotation({ ...item, timestamp: new Date(item.time).getTime() }))
+            .filter(annotation => annotation !== null);
+
+        if (!merge) {
+            await IndexedDBManager.clearAnnotations();
+        }
+
+        const existing = merge ? await this.getAnnotations() : [];
+        const keyOf = annotation => `${annotation.timestamp}|${annotation.type}|${annotation.label}`;
+        const existingKeys = new Set(existing.map(keyOf));
+        const additions = imported.filter(annotation => !existingKeys.has(keyOf(annotation)));
+
+        if (additions.length > 0) {
+            await IndexedDBManager.saveAnnotations(additions);
+        }
+        console.log(`Imported ${additions.length} annotations`);
+    },
+
     /**
      * Import history visits
      * @param {Array} visits - Array of visit objects from chrome.history.getVisits
@@ -369,6 +800,69 @@ const StorageManager = {
         }
     },
 
+    /**
+     * Convert all stored epochs to a new epoch duration
+     * Time covered by the event log is rebuilt from it exactly; older epochs are re-binned.
+     * New epochs are written before stale ones are deleted, so an interrupted run loses nothing
+     * @param {number} targetDuration - New epoch length in minutes
+     * @param {Object} options - { previousDuration: length (minutes) of epochs saved without one,
+     *                             onProgress: called with (done, total) as epochs are written }
+     * @returns {Promise<Object|null>} { before, after } epoch counts, or null on failure
+     */
+    async resampleEpochs(targetDuration, options = {}) {
+        const { previousDuration = 15, onProgress = null } = options;
+
+        try {
+            const existing = await this.getActivityData();
+            let resampled = TimeUtils.resampleEpochs(existing, targetDuration, previousDuration);
+
+            // Rebuild completed epochs from the event log; the epoch in progress is left to the tracker
+            const coverage = await this._getLogCoverage(targetDuration);
+            if (coverage) {
+                const epochMs = targetDuration * 60 * 1000;
+                const end = Math.floor(coverage.end / epochMs) * epochMs;
+                const derived = end > coverage.start
+                    ? await this.getDerivedEpochs(targetDuration, coverage.start, end)
+                    : [];
+
+                if (derived.length > 0) {
+                    resampled = [
+                        ...EventLogUtils.mergeWithStored(resampled.filter(epoch => epoch.timestamp < end), derived, coverage.start),
+                        ...resampled.filter(epoch => epoch.timestamp >= end)
+                    ];
+                }
+            }
+
+            const kept = new Set(resampled.map(epoch => epoch.timestamp));
+            const stale = existing.map(epoch => epoch.timestamp).filter(timestamp => !kept.has(timestamp));
+
+            // Write in batches so large histories can report progress
+            const batchSize = 500;
+            const total = resampled.length + stale.length;
+            let done = 0;
+
+            for (let i = 0; i < resampled.length; i += batchSize) {
+                const batch = resampled.slice(i, i + batchSize);
+                await IndexedDBManager.saveActivityEpochs(batch);
+                done += batch.length;
+                if (onProgress) onProgress(done, total);
+            }
+
+            for (let i = 0; i < stale.length; i += batchSize) {
+                const batch = stale.slice(i, i + batchSize);
+                await IndexedDBManager.deleteActivityEpochs(batch);
+                done += batch.length;
+                if (onProgress) onProgress(done, total);
+            }
+
+            console.log(`Resampled ${existing.length} epochs to ${resampled.length} epochs of ${targetDuration} minutes`);
+            return { before: existing.length, after: resampled.length };
+        } catch (error) {
+            console.error('Error resampling epochs:', error);
+            return null;
+        }
+    },
+
     /**
      * Delete all imported history data
      */
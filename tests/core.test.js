@@ -12,6 +12,39 @@ window.UIUtils = {
     showConfirm: async () => true
 };
 
+// Build a synthetic actogram: active for 16h, inactive for the rest of each cycle
+const buildRhythm = (periodHours, days, epochMinutes = 15) => {
+    const start = new Date(2023, 11, 1).getTime(); // Local midnight
+    const epochMs = epochMinutes * 60 * 1000;
+    const epochs = [];
+    for (let t = start; t < start + days * 24 * 3600000; t += epochMs) {
+        const phase = ((t - start) / 3600000) % periodHours;
+        epochs.push({
+            timestamp: t,
+            activityScore: phase < periodHours * (2 / 3) ? 80 : 0,
+            epochDuration: epochMinutes
+        });
+    }
+    return epochs;
+};
+
+// Active days with sleep from 23:30 to 07:00; asleep epochs are idle (0) or missing
+const buildSleepSchedule = (days, missing = false) => {
+    const start = new Date(2023, 11, 1).getTime();
+    const data = [];
+    for (let i = 0; i < days * 96; i++) {
+        const minuteOfDay = (i % 96) * 15;
+        const asleep = minuteOfDay >= 23.5 * 60 || minuteOfDay < 7 * 60;
+        if (asleep && missing) continue;
+        data.push({
+            timestamp: start + i * 15 * 60 * 1000,
+            activityScore: asleep ? 0 : 80,
+            epochDuration: 15
+        });
+    }
+    return data;
+};
+
 describe('Sanity Check', () => {
     it('should run a basic test', () => {
         expect(true).to.be.true;
@@ -66,7 +99,7 @@ describe('CSV Formatting Logic', () => {
         // We'll check the structure mostly.
         const row = ExportUtils.formatCsvRow(epoch);
 
-        expect(row).to.have.lengthOf(4);
+        expect(row).to.have.lengthOf(6);
         expect(row[0]).to.equal('="1701388800000"'); // Excel text format
         expect(row[3]).to.equal(50); // Score
 
@@ -74,6 +107,21 @@ describe('CSV Formatting Logic', () => {
         expect(row[1]).to.match(/^\d{2}\/\d{2}\/\d{4}$/);
         // Regex to check HH:MM:SS format
         expect(row[2]).to.match(/^\d{2}:\d{2}:\d{2}$/);
+        // Day bucket as YYYY-MM-DD
+        expect(row[4]).to.match(/^\d{4}-\d{2}-\d{2}$/);
+        // Unscored epochs leave Sleep/Wake empty
+        expect(row[5]).to.equal('');
+    });
+
+    it('should put the Day column on the configured day boundary', () => {
+        const epoch = { timestamp: new Date(2023, 11, 2, 2, 0).getTime(), activityScore: 50 };
+        expect(ExportUtils.formatCsvRow(epoch)[4]).to.equal('2023-12-02');
+        expect(ExportUtils.formatCsvRow(epoch, 6)[4]).to.equal('2023-12-01');
+    });
+
+    it('should export the sleep/wake label', () => {
+        const epoch = { timestamp: 1701388800000, activityScore: 0, sleepState: 'sleep' };
+        expect(ExportUtils.formatCsvRow(epoch)[5]).to.equal('sleep');
     });
 });
 
@@ -153,3 +201,860 @@ describe('Data Merging Logic', () => {
         expect(result[0].activityScore).to.equal(90);
     });
 });
+
+describe('PeriodogramUtils', () => {
+    it('should return null when there is not enough data', () => {
+        const result = PeriodogramUtils.estimatePeriod(buildRhythm(24, 1));
+        expect(result).to.be.null;
+    });
+
+    it('should recover a 24h period', () => {
+        const result = PeriodogramUtils.estimatePeriod(buildRhythm(24, 14));
+        expect(result.tau).to.be.closeTo(24, 0.1);
+        expect(result.significant).to.be.true;
+        expect(result.chiSquare.peak.period).to.be.closeTo(24, 0.25);
+    });
+
+    it('should recover a free-running period longer than 24h', () => {
+        const result = PeriodogramUtils.estimatePeriod(buildRhythm(24.5, 21));
+        expect(result.tau).to.be.closeTo(24.5, 0.1);
+        expect(result.chiSquare.peak.period).to.be.closeTo(24.5, 0.25);
+    });
+
+    it('should report the p-value of the chosen periodogram', () => {
+        const data = buildRhythm(24, 14);
+        const chiSquare = PeriodogramUtils.estimatePeriod(data, { method: 'chiSquare' });
+        expect(chiSquare.pValue).to.equal(chiSquare.chiSquare.peak.pValue);
+        expect(chiSquare.pValue).to.be.below(chiSquare.alpha);
+        expect(PeriodogramUtils.estimatePeriod(data).pValue).to.equal(chiSquare.lombScargle.peak.pValue);
+    });
+
+    it('should tolerate gap epochs', () => {
+        const data = buildRhythm(24.5, 21).map((epoch, i) =>
+            (i % 200 < 30) ? { ...epoch, activityScore: -1, isGap: true } : epoch
+        );
+        const result = PeriodogramUtils.estimatePeriod(data);
+        expect(result.tau).to.be.closeTo(24.5, 0.15);
+        expect(result.significant).to.be.true;
+    });
+});
+
+describe('TimeUtils', () => {
+    it('should key days by local date', () => {
+        // 23:30 local is still the same local day regardless of UTC offset
+        expect(TimeUtils.getDayKey(new Date(2023, 11, 1, 23, 30))).to.equal('2023-12-01');
+        expect(TimeUtils.getDayKey(new Date(2023, 11, 2, 0, 30))).to.equal('2023-12-02');
+    });
+
+    it('should assign hours before the day start to the previous day', () => {
+        expect(TimeUtils.getDayKey(new Date(2023, 11, 2, 5, 59), 6)).to.equal('2023-12-01');
+        expect(TimeUtils.getDayKey(new Date(2023, 11, 2, 6, 0), 6)).to.equal('2023-12-02');
+        expect(TimeUtils.getDayStart(new Date(2023, 11, 2, 3, 0), 6).getTime())
+            .to.equal(new Date(2023, 11, 1, 6, 0).getTime());
+    });
+
+    it('should round-trip date keys in local time', () => {
+        const date = TimeUtils.parseDateKey('2024-03-10');
+        expect(date.getDate()).to.equal(10);
+        expect(date.getHours()).to.equal(0);
+        expect(TimeUtils.formatDateKey(date)).to.equal('2024-03-10');
+    });
+
+    it('should group analysis days on the configured boundary', () => {
+        const data = [
+            { timestamp: new Date(2023, 11, 1, 22, 0).getTime(), activityScore: 50 },
+            { timestamp: new Date(2023, 11, 2, 2, 0).getTime(), activityScore: 50 },
+            { timestamp: new Date(2023, 11, 2, 9, 0).getTime(), activityScore: 50 }
+        ];
+        expect(AnalysisUtils.groupActivityByDay(data).map(d => d.date)).to.deep.equal(['2023-12-01', '2023-12-02']);
+        expect(AnalysisUtils.groupActivityByDay(data, 6).map(d => d.epochs.length)).to.deep.equal([2, 1]);
+    });
+
+    it('should shift epochs to the wall clock at recording', () => {
+        const timestamp = new Date(2023, 11, 1, 9, 0).getTime();
+        const currentOffset = -new Date(timestamp).getTimezoneOffset();
+        const [shifted, legacy] = TimeUtils.toRecordedLocalTime([
+            { timestamp, activityScore: 50, utcOffset: currentOffset + 120, timeZone: 'Test/Zone' },
+            { timestamp, activityScore: 50 }
+        ]);
+        expect(new Date(shifted.timestamp).getHours()).to.equal(11);
+        expect(legacy.timestamp).to.equal(timestamp);
+    });
+
+    it('should shift other times by the zone recorded around them', () => {
+        const start = new Date(2023, 11, 1, 9, 0).getTime();
+        const currentOffset = -new Date(start).getTimezoneOffset();
+        const toRecorded = TimeUtils.getRecordedTimeShift([
+            { timestamp: start + 2 * 3600000, utcOffset: currentOffset - 60 },
+            { timestamp: start, utcOffset: currentOffset + 120 },
+            { timestamp: start + 3600000 }
+        ]);
+        expect(new Date(toRecorded(start - 3600000)).getHours()).to.equal(10);
+        expect(new Date(toRecorded(start + 90 * 60000)).getHours()).to.equal(12);
+        expect(new Date(toRecorded(start + 3 * 3600000)).getHours()).to.equal(11);
+        expect(toRecorded(null)).to.be.null;
+        expect(TimeUtils.getRecordedTimeShift([{ timestamp: start }])(start)).to.equal(start);
+    });
+
+    it('should find zone changes between consecutive epochs', () => {
+        const changes = TimeUtils.findZoneChanges([
+            { timestamp: 3000, utcOffset: -300, timeZone: 'America/New_York' },
+            { timestamp: 1000, utcOffset: 60, timeZone: 'Europe/Berlin' },
+            { timestamp: 2000, utcOffset: 60, timeZone: 'Europe/Berlin' },
+            { timestamp: 2500 }
+        ]);
+        expect(changes).to.have.length(1);
+        expect(changes[0].timestamp).to.equal(3000);
+        expect(changes[0].from.timeZone).to.equal('Europe/Berlin');
+        expect(TimeUtils.formatUtcOffset(changes[0].to.utcOffset)).to.equal('UTC-05:00');
+    });
+
+    it('should merge epochs weighted by coverage when coarsening', () => {
+        const start = Date.UTC(2023, 11, 1, 0, 0);
+        const epochs = [
+            { timestamp: start, activityScore: 100, trackerScore: 100, epochDuration: 15, timeZone: 'Europe/Berlin' },
+            { timestamp: start + 15 * 60000, activityScore: 20, trackerScore: 20, historyScore: 20, epochDuration: 15 },
+            { timestamp: start + 30 * 60000, activityScore: 0, epochDuration: 30, sleepState: 'sleep' },
+            { timestamp: start + 60 * 60000, activityScore: -1, epochDuration: 240, isGap: true }
+        ];
+        const hourly = TimeUtils.resampleEpochs(epochs, 60);
+        expect(hourly).to.have.length(2);
+        expect(hourly[0]).to.deep.equal({
+            timestamp: start, epochDuration: 60, activityScore: 30, trackerScore: 60, historyScore: 20, timeZone: 'Europe/Berlin'
+        });
+        expect(hourly[1]).to.include({ isGap: true, epochDuration: 240 });
+    });
+
+    it('should split epochs and keep their score when refining', () => {
+        const start = Date.UTC(2023, 11, 1, 0, 0);
+        const split = TimeUtils.resampleEpochs([{ timestamp: start, activityScore: 40, lockedSeconds: 540 }], 5, 15);
+        expect(split.map(epoch => (epoch.timestamp - start) / 60000)).to.deep.equal([0, 5, 10]);
+        expect(split.every(epoch => epoch.activityScore === 40 && epoch.epochDuration === 5)).to.be.true;
+        // Seconds are amounts of time, so they are shared out
+        expect(split.map(epoch => epoch.lockedSeconds)).to.deep.equal([180, 180, 180]);
+    });
+});
+
+describe('EventLogUtils', () => {
+    const minute = 60 * 1000;
+    const start = Date.UTC(2023, 11, 1, 0, 0);
+    const events = [
+        { timestamp: start, state: 'active', utcOffset: 60, timeZone: 'Europe/Berlin' },
+        { timestamp: start + 10 * minute, state: 'idle', utcOffset: 60, timeZone: 'Europe/Berlin' },
+        { timestamp: start + 25 * minute, state: 'locked', utcOffset: 60, timeZone: 'Europe/Berlin' },
+        { timestamp: start + 40 * minute, state: 'gap', utcOffset: 60, timeZone: 'Europe/Berlin' },
+        { timestamp: start + 90 * minute, state: 'active', utcOffset: 60, timeZone: 'Europe/Berlin' }
+    ];
+
+    it('should score epochs by the share of observed time spent active', () => {
+        const epochs = EventLogUtils.buildEpochs(events, 15, { endTime: start + 120 * minute });
+        const scored = epochs.filter(epoch => !epoch.isGap);
+        expect(scored.map(epoch => (epoch.timestamp - start) / minute)).to.deep.equal([0, 15, 30, 90, 105]);
+        expect(scored.map(epoch => epoch.activityScore)).to.deep.equal([67, 0, 0, 100, 100]);
+        expect(scored[1]).to.include({ activeSeconds: 0, idleSeconds: 600, lockedSeconds: 300 });
+        expect(scored[0].timeZone).to.equal('Europe/Berlin');
+    });
+
+    it('should recompute the same log at any epoch duration', () => {
+        const hourly = EventLogUtils.buildEpochs(events, 60, { endTime: start + 120 * minute });
+        expect(hourly.map(epoch => epoch.activityScore)).to.deep.equal([25, -1, 100]);
+        expect(hourly[1]).to.include({ timestamp: start + 40 * minute, epochDuration: 50, isGap: true });
+
+        const fine = EventLogUtils.buildEpochs(events, 1, { endTime: start + 120 * minute });
+        expect(fine.filter(epoch => epoch.activityScore === 100)).to.have.length(40);
+    });
+
+    it('should clip the log to a time range', () => {
+        const epochs = EventLogUtils.buildEpochs(events, 15, { startTime: start + 5 * minute, endTime: start + 20 * minute });
+        expect(epochs.map(epoch => epoch.activityScore)).to.deep.equal([50, 0]);
+        // Without an end time the last state has no known length
+        expect(EventLogUtils.getIntervals(events)).to.have.length(4);
+    });
+
+    it('should count window focus as activity as the setting asks', () => {
+        const epoch = { activeSeconds: 300, focusedActiveSeconds: 120, focusedIdleSeconds: 200 };
+        expect(EventLogUtils.getCountedActiveSeconds(epoch, 'idle')).to.equal(300);
+        expect(EventLogUtils.getCountedActiveSeconds(epoch, 'either')).to.equal(500);
+        expect(EventLogUtils.getCountedActiveSeconds(epoch, 'both')).to.equal(120);
+        expect(EventLogUtils.getCountedActiveSeconds(epoch)).to.equal(300);
+
+        // Epochs recorded before window focus was tracked
+        const legacy = { activeSeconds: 300 };
+        expect(EventLogUtils.getCountedActiveSeconds(legacy, 'either')).to.equal(300);
+        expect(EventLogUtils.getCountedActiveSeconds(legacy, 'both')).to.equal(300);
+    });
+
+    it('should score logged window focus changes', () => {
+        const focusEvents = [
+            { timestamp: start, state: 'active', windowFocused: true },
+            { timestamp: start + 5 * minute, state: 'active', windowFocused: false },
+            { timestamp: start + 10 * minute, state: 'idle', windowFocused: false },
+            { timestamp: start + 12 * minute, state: 'idle', windowFocused: true }
+        ];
+        const build = focusActivityMode => EventLogUtils.buildEpochs(focusEvents, 15, { endTime: start + 15 * minute, focusActivityMode });
+
+        const [epoch] = build('idle');
+        expect(epoch).to.include({ activityScore: 67, focusedSeconds: 480, focusedActiveSeconds: 300, focusedIdleSeconds: 180 });
+        expect(build('either')[0].activityScore).to.equal(87);
+        expect(build('both')[0].activityScore).to.equal(33);
+
+        // Without focus in the log the score falls back to input activity
+        const [unknown] = EventLogUtils.buildEpochs(events, 15, { endTime: start + 15 * minute, focusActivityMode: 'both' });
+        expect(unknown.activityScore).to.equal(67);
+        expect(unknown.focusedSeconds).to.be.undefined;
+    });
+
+    it('should prefer rebuilt epochs where the log covers the range', () => {
+        const logStart = start + 30 * minute;
+        const stored = [
+            { timestamp: start, activityScore: 40, trackerScore: 40, epochDuration: 15 },
+            { timestamp: start + 15 * minute, activityScore: 10, trackerScore: 10, epochDuration: 15 },
+            { timestamp: start + 30 * minute, activityScore: 90, trackerScore: 90, epochDuration: 15, sleepState: 'wake' },
+            { timestamp: start + 45 * minute, activityScore: 30, historyScore: 30, epochDuration: 15 },
+            { timestamp: start + 50 * minute, activityScore: 20, epochDuration: 5 }, // Imported
+            { timestamp: start + 60 * minute, activityScore: 70, epochDuration: 15 }, // Imported
+            { timestamp: start + 90 * minute, activityScore: 60, trackerScore: 0, historyScore: 60, epochDuration: 15 }
+        ];
+        const derived = EventLogUtils.buildEpochs(events, 15, { startTime: logStart, endTime: start + 105 * minute });
+
+        const merged = EventLogUtils.mergeWithStored(stored, derived, logStart);
+        const at = offset => merged.filter(epoch => epoch.timestamp === start + offset * minute);
+        expect(at(0)[0].activityScore).to.equal(40);
+        expect(at(15)[0].activityScore).to.equal(10);
+        expect(at(30)[0]).to.include({ activityScore: 0, trackerScore: 0, sleepState: 'wake', lockedSeconds: 600 });
+        expect(at(40)[0].isGap).to.be.true;
+        expect(at(45)[0]).to.include({ activityScore: 30, historyScore: 30 });
+        expect(at(50)[0].activityScore).to.equal(20);
+        expect(at(60)).to.have.lengthOf(1);
+        expect(at(60)[0]).to.not.have.property('trackerScore');
+        expect(at(90)[0]).to.include({ activityScore: 100, trackerScore: 100, historyScore: 60 });
+
+        expect(EventLogUtils.mergeWithStored(stored, [], null)).to.have.length(stored.length);
+    });
+});
+
+describe('InsightsUtils', () => {
+    const analyze = data => AnalysisUtils.detectSleepWakeCycles(data);
+
+    it('should hide all cards without data', () => {
+        expect(InsightsUtils.generateInsights(analyze([]), {}, null)).to.deep.equal([]);
+    });
+
+    it('should derive peak hours and bedtime from the data', () => {
+        const cards = InsightsUtils.generateInsights(analyze(buildSleepSchedule(7)), {}, null);
+        const ids = cards.map(c => c.id);
+        expect(ids).to.include.members(['dailyPatterns', 'sleep', 'tips']);
+
+        const sleep = cards.find(c => c.id === 'sleep');
+        expect(sleep.badge.text).to.match(/^7h \d+m$/); // First night starts at midnight, so it is partial
+        expect(sleep.descriptions.join(' ')).to.include('11:30 PM');
+
+        // No week-over-week badge without a comparison week
+        expect(cards.find(c => c.id === 'dailyPatterns').badge).to.be.null;
+    });
+
+    it('should report real week-over-week change', () => {
+        const start = new Date(2023, 11, 1).getTime();
+        const data = [];
+        for (let i = 0; i < 14 * 96; i++) {
+            data.push({ timestamp: start + i * 15 * 60 * 1000, activityScore: i < 7 * 96 ? 40 : 50, epochDuration: 15 });
+        }
+        const change = AnalysisUtils.calculateWeekOverWeek(data);
+        expect(change.changePercent).to.equal(25);
+
+        const card = InsightsUtils.buildDailyPatternsCard({ hourlyPatterns: Array(24).fill(45), cosinor: { validHours: 336 } }, change);
+        expect(card.badge).to.deep.equal({ text: '+25%', tone: 'positive' });
+    });
+
+    it('should find non-overlapping peak windows', () => {
+        const hourly = Array(24).fill(10);
+        hourly[9] = hourly[10] = 90;
+        hourly[14] = hourly[15] = 70;
+        const windows = AnalysisUtils.findPeakWindows(hourly);
+        expect(windows.map(w => [w.startHour, w.endHour])).to.deep.equal([[9, 11], [14, 16]]);
+        expect(windows.map(w => InsightsUtils.formatHourRange(w.startHour, w.endHour)))
+            .to.deep.equal(['9-11 AM', '2-4 PM']);
+    });
+
+    it('should suggest a bedtime across midnight from the median onset', () => {
+        const night = (day, hour, minute) => ({ sleepStart: new Date(2023, 11, day, hour, minute).getTime() });
+        const bedtime = InsightsUtils.suggestBedtime([night(1, 23, 0), night(2, 23, 30), night(4, 0, 30)]);
+        expect(bedtime.nights).to.equal(3);
+        expect(InsightsUtils.formatClockTime(bedtime.hour)).to.equal('11:30 PM');
+    });
+});
+
+describe('StatsUtils', () => {
+    it('should approximate chi-square critical values', () => {
+        // Table value for df = 100, alpha = 0.01 is 135.81
+        expect(StatsUtils.chiSquareCritical(100, 0.01)).to.be.closeTo(135.81, 0.5);
+    });
+
+    it('should compute chi-square p-values', () => {
+        // With df = 2 the upper tail is exactly exp(-x / 2)
+        expect(StatsUtils.chiSquarePValue(5.991, 2)).to.be.closeTo(0.05, 1e-4);
+        expect(StatsUtils.chiSquarePValue(135.81, 100)).to.be.closeTo(0.01, 1e-3);
+        expect(StatsUtils.chiSquarePValue(0.5, 10)).to.be.closeTo(1, 1e-4);
+    });
+
+    it('should approximate t quantiles', () => {
+        // Table value for df = 10, two-sided 95% is 2.228
+        expect(StatsUtils.tQuantile(0.975, 10)).to.be.closeTo(2.228, 0.01);
+    });
+
+    it('should compute F distribution p-values', () => {
+        // F(2, 20) critical value at alpha = 0.05 is 3.49
+        expect(StatsUtils.fDistributionPValue(3.49, 2, 20)).to.be.closeTo(0.05, 0.002);
+    });
+
+    it('should invert matrices', () => {
+        const inverse = StatsUtils.invertMatrix([[4, 7], [2, 6]]);
+        expect(inverse[0][0]).to.be.closeTo(0.6, 1e-9);
+        expect(inverse[0][1]).to.be.closeTo(-0.7, 1e-9);
+        expect(StatsUtils.invertMatrix([[1, 2], [2, 4]])).to.be.null;
+    });
+
+    it('should fit a Theil-Sen line that ignores an outlier', () => {
+        const xs = [0, 1, 2, 3, 4, 5];
+        const ys = [1, 3, 5, 20, 9, 11]; // y = 2x + 1 with one outlier
+        const fit = StatsUtils.theilSenFit(xs, ys);
+        expect(fit.slope).to.be.closeTo(2, 1e-9);
+        expect(fit.intercept).to.be.closeTo(1, 1e-9);
+        expect(StatsUtils.theilSenFit([1, 1], [2, 3])).to.be.null;
+        expect(StatsUtils.median([3, 1, 2, 10])).to.equal(2.5);
+    });
+
+    it('should compute Bland-Altman bias and limits of agreement', () => {
+        const result = StatsUtils.blandAltman([10, 12, 14], [9, 10, 11]);
+        expect(result.bias).to.equal(2);
+        expect(result.sd).to.equal(1);
+        expect(result.lowerLimit).to.be.closeTo(2 - 1.96, 0.01);
+        expect(result.upperLimit).to.be.closeTo(2 + 1.96, 0.01);
+        expect(StatsUtils.blandAltman([1], [2])).to.be.null;
+    });
+});
+
+describe('AnalysisUtils', () => {
+    describe('Non-parametric metrics', () => {
+        it('should return null with less than two days of data', () => {
+            expect(AnalysisUtils.calculateNonParametricMetrics(buildRhythm(24, 1))).to.be.null;
+        });
+
+        it('should score a perfectly regular rhythm as stable', () => {
+            const metrics = AnalysisUtils.calculateNonParametricMetrics(buildRhythm(24, 7));
+            expect(metrics.interdailyStability).to.be.closeTo(1, 0.001);
+            expect(metrics.intradailyVariability).to.be.below(0.5);
+            expect(metrics.relativeAmplitude).to.equal(1);
+            expect(metrics.l5.value).to.equal(0);
+            expect(metrics.m10.value).to.equal(80);
+            // Inactive from 16:00 to midnight, so the least active 5h start in that window
+            expect(metrics.l5.onsetHour).to.be.within(16, 19);
+            expect(metrics.m10.onsetHour).to.be.within(0, 6);
+        });
+
+        it('should score a shifting rhythm as less stable', () => {
+            const stable = AnalysisUtils.calculateNonParametricMetrics(buildRhythm(24, 14));
+            const drifting = AnalysisUtils.calculateNonParametricMetrics(buildRhythm(26, 14));
+            expect(drifting.interdailyStability).to.be.below(stable.interdailyStability);
+        });
+
+        it('should exclude gap epochs', () => {
+            const data = buildRhythm(24, 7).map((epoch, i) =>
+                i < 96 ? { ...epoch, activityScore: -1, isGap: true } : epoch
+            );
+            const metrics = AnalysisUtils.calculateNonParametricMetrics(data);
+            expect(metrics.days).to.equal(6);
+            expect(metrics.interdailyStability).to.be.closeTo(1, 0.001);
+        });
+    });
+
+    describe('Sleep detection', () => {
+        it('should score idle night epochs as sleep and active epochs as wake', () => {
+            const data = buildSleepSchedule(3);
+            const labelled = AnalysisUtils.classifySleepWake(data);
+            const at = (day, hour, minute = 0) => labelled.find(e => e.timestamp === new Date(2023, 11, day, hour, minute).getTime());
+
+            expect(labelled).to.have.lengthOf(data.length);
+            expect(at(2, 3).sleepState).to.equal('sleep');
+            expect(at(2, 23, 30).sleepState).to.equal('sleep');
+            expect(at(2, 23, 15).sleepState).to.equal('wake');
+            expect(at(2, 14).sleepState).to.equal('wake');
+            expect(data[0].sleepState).to.be.undefined; // Input is not mutated
+        });
+
+        it('should absorb brief activity during sleep but not brief idleness during the day', () => {
+            const data = buildSleepSchedule(3);
+            const find = (day, hour) => data.find(e => e.timestamp === new Date(2023, 11, day, hour).getTime());
+            find(2, 3).activityScore = 20;
+            find(2, 14).activityScore = 0;
+
+            const labelled = AnalysisUtils.classifySleepWake(data);
+            const state = (day, hour) => labelled.find(e => e.timestamp === new Date(2023, 11, day, hour).getTime()).sleepState;
+            expect(state(2, 3)).to.equal('sleep');
+            expect(state(2, 14)).to.equal('wake');
+        });
+
+        it('should treat a locked screen as a stronger sleep signal than idleness', () => {
+            const data = buildSleepSchedule(3);
+            const epoch = data.find(e => e.timestamp === new Date(2023, 11, 2, 14).getTime());
+            const state = labelled => labelled.find(e => e.timestamp === epoch.timestamp).sleepState;
+            epoch.activityScore = 0;
+
+            epoch.idleSeconds = 900;
+            expect(state(AnalysisUtils.classifySleepWake(data))).to.equal('wake');
+
+            delete epoch.idleSeconds;
+            epoch.lockedSeconds = 900;
+            expect(AnalysisUtils.getLockedShare(epoch)).to.equal(1);
+            expect(state(AnalysisUtils.classifySleepWake(data))).to.equal('sleep');
+            expect(state(AnalysisUtils.classifySleepWake(data, { sleepScoringLockedDiscount: 0 }))).to.equal('wake');
+        });
+
+        it('should apply custom scoring threshold and weights', () => {
+            const data = buildSleepSchedule(3);
+            data.find(e => e.timestamp === new Date(2023, 11, 2, 3).getTime()).activityScore = 20;
+            const state = labelled => labelled.find(e => e.timestamp === new Date(2023, 11, 2, 3).getTime()).sleepState;
+
+            expect(state(AnalysisUtils.classifySleepWake(data, { sleepScoringThreshold: 10 }))).to.equal('wake');
+            expect(state(AnalysisUtils.classifySleepWake(data, { sleepScoringWeights: [0.5] }))).to.equal('sleep');
+            expect(state(AnalysisUtils.classifySleepWake(data, { sleepScoringWeights: [1] }))).to.equal('wake');
+        });
+
+        it('should use stored labels when detecting sleep', () => {
+            const data = AnalysisUtils.classifySleepWake(buildSleepSchedule(3));
+            // Mark the whole second night as wake, as a stored label would
+            data.forEach(e => {
+                if (e.timestamp >= new Date(2023, 11, 2, 12).getTime() && e.timestamp < new Date(2023, 11, 3, 12).getTime()) {
+                    e.sleepState = 'wake';
+                }
+            });
+
+            const { cycles } = AnalysisUtils.detectSleepWakeCycles(data);
+            expect(cycles.find(c => c.date.getDate() === 2).sleepStart).to.not.be.null;
+            expect(cycles.find(c => c.date.getDate() === 3).sleepStart).to.be.null;
+        });
+
+        it('should detect sleep that crosses midnight', () => {
+            const { cycles } = AnalysisUtils.detectSleepWakeCycles(buildSleepSchedule(4));
+            const dec2 = cycles.find(c => c.date.getDate() === 2);
+            expect(dec2.sleepDuration).to.equal(450);
+            expect(new Date(dec2.sleepStart).getHours()).to.equal(23);
+            expect(new Date(dec2.sleepEnd).getHours()).to.equal(7);
+        });
+
+        it('should treat missing epochs as rest', () => {
+            const { cycles, summary } = AnalysisUtils.detectSleepWakeCycles(buildSleepSchedule(4, true));
+            expect(cycles.filter(c => c.sleepDuration === 450)).to.have.length(3);
+            expect(summary.avgSleepStart).to.be.closeTo(23.5, 0.01);
+            expect(summary.avgWakeTime).to.be.closeTo(7, 0.01);
+        });
+
+        it('should attribute sleep to the wake day', () => {
+            const episodes = AnalysisUtils.detectSleepEpisodes(buildSleepSchedule(3));
+            expect(episodes.map(e => e.wakeDay)).to.include.members(['2023-12-02', '2023-12-03']);
+        });
+
+        it('should attribute a day sleep to the day it ends on', () => {
+            // Stay up through the second night and sleep 10:00-18:00 instead
+            const data = buildSleepSchedule(3).map(e => {
+                const time = e.timestamp;
+                const awake = time >= new Date(2023, 11, 1, 23, 30).getTime() && time < new Date(2023, 11, 2, 7).getTime();
+                const asleep = time >= new Date(2023, 11, 2, 10).getTime() && time < new Date(2023, 11, 2, 18).getTime();
+                return { ...e, activityScore: asleep ? 0 : (awake ? 80 : e.activityScore) };
+            });
+
+            const daySleep = AnalysisUtils.detectSleepEpisodes(data)
+                .find(e => e.start === new Date(2023, 11, 2, 10).getTime());
+            expect(daySleep.end).to.equal(new Date(2023, 11, 2, 18).getTime());
+            expect(daySleep.wakeDay).to.equal('2023-12-02');
+
+            const { cycles } = AnalysisUtils.detectSleepWakeCycles(data);
+            expect(cycles.find(c => c.date.getDate() === 2).sleepStart).to.equal(daySleep.start);
+        });
+
+        it('should measure social jetlag from sleep that crosses midnight', () => {
+            // Two weeks from Sunday Dec 3 noon: 23:30-07:00 before weekdays, 01:00-10:00 on weekends
+            const start = new Date(2023, 11, 3, 12).getTime();
+            const isWeekend = date => date.getDay() === 0 || date.getDay() === 6;
+            const data = [];
+            for (let i = 0; i < 14 * 96; i++) {
+                const timestamp = start + i * 15 * 60 * 1000;
+                const date = new Date(timestamp);
+                const minuteOfDay = date.getHours() * 60 + date.getMinutes();
+                const tomorrow = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+                const morning = isWeekend(date) ? minuteOfDay >= 60 && minuteOfDay < 10 * 60 : minuteOfDay < 7 * 60;
+                const asleep = morning || (minuteOfDay >= 23.5 * 60 && !isWeekend(tomorrow));
+                data.push({ timestamp, activityScore: asleep ? 0 : 80, epochDuration: 15 });
+            }
+
+            const { socialJetlag } = AnalysisUtils.detectSleepWakeCycles(data).circadian;
+            expect(socialJetlag.weekdayMidpoint).to.be.closeTo(3.25, 0.01);
+            expect(socialJetlag.weekendMidpoint).to.be.closeTo(5.5, 0.01);
+            expect(socialJetlag.jetlagHours).to.be.closeTo(2.25, 0.06);
+        });
+
+        it('should score a fixed schedule with a perfect Sleep Regularity Index', () => {
+            const { summary, sleepRegularity } = AnalysisUtils.detectSleepWakeCycles(buildSleepSchedule(10));
+            // The last evening is cut off by the end of the data, so it is just under 100
+            expect(summary.sleepRegularityIndex).to.be.closeTo(100, 1);
+            expect(sleepRegularity.rolling7.length).to.be.above(0);
+            expect(sleepRegularity.current7).to.be.closeTo(100, 1);
+            expect(sleepRegularity.current30).to.be.null;
+        });
+
+        it('should lower the SRI when sleep timing shifts between days', () => {
+            // Every other morning, sleep runs three hours longer
+            const data = buildSleepSchedule(10).map(epoch => {
+                const date = new Date(epoch.timestamp);
+                const hour = date.getHours();
+                const sleepsIn = date.getDate() % 2 === 1 && hour >= 7 && hour < 10;
+                return sleepsIn ? { ...epoch, activityScore: 0 } : epoch;
+            });
+            const { summary } = AnalysisUtils.detectSleepWakeCycles(data);
+            expect(summary.sleepRegularityIndex).to.be.below(90);
+            expect(summary.sleepRegularityIndex).to.be.above(-100);
+        });
+
+        it('should not compute an SRI from a single day', () => {
+            expect(AnalysisUtils.detectSleepWakeCycles(buildSleepSchedule(1)).sleepRegularity).to.be.null;
+        });
+
+        it('should not count long absences as sleep', () => {
+            const data = buildSleepSchedule(4, true).filter(e =>
+                new Date(e.timestamp).getDate() !== 2 && new Date(e.timestamp).getDate() !== 3);
+            const episodes = AnalysisUtils.detectSleepEpisodes(data);
+            episodes.forEach(e => expect(e.duration).to.be.at.most(18 * 60));
+        });
+    });
+
+    describe('Naps', () => {
+        // Idle from 14:00 to 14:45 on Dec 2
+        const buildNapSchedule = () => buildSleepSchedule(3).map(e => {
+            const date = new Date(e.timestamp);
+            const isNap = date.getDate() === 2 && date.getHours() === 14 && date.getMinutes() < 45;
+            return isNap ? { ...e, activityScore: 0 } : e;
+        });
+
+        it('should detect a daytime nap separately from main sleep', () => {
+            const result = AnalysisUtils.detectSleepWakeCycles(buildNapSchedule());
+            const dec2 = result.cycles.find(c => c.date.getDate() === 2);
+
+            expect(result.naps.total).to.equal(1);
+            expect(dec2.naps).to.have.lengthOf(1);
+            expect(dec2.naps[0].start).to.equal(new Date(2023, 11, 2, 14).getTime());
+            expect(dec2.naps[0].duration).to.equal(45);
+            expect(dec2.sleepDuration).to.equal(450); // Main sleep unchanged
+        });
+
+        it('should not count time with no data as a nap', () => {
+            const data = buildNapSchedule().filter(e => {
+                const date = new Date(e.timestamp);
+                return !(date.getDate() === 2 && date.getHours() === 14);
+            });
+            expect(AnalysisUtils.detectNaps(data)).to.be.empty;
+        });
+
+        it('should ignore rest bouts that are too long or at night', () => {
+            const data = buildSleepSchedule(3).map(e => {
+                const hour = new Date(e.timestamp).getHours();
+                return new Date(e.timestamp).getDate() === 2 && hour >= 13 && hour < 16 ? { ...e, activityScore: 0 } : e;
+            });
+            expect(AnalysisUtils.detectNaps(data)).to.be.empty;
+            expect(AnalysisUtils.detectNaps(buildNapSchedule(), { napWindowStart: 15 })).to.be.empty;
+        });
+
+        it('should count naps per day and per week', () => {
+            const naps = AnalysisUtils.detectSleepWakeCycles(buildNapSchedule()).naps;
+
+            expect(naps.perDay.map(d => d.count)).to.deep.equal([0, 1, 0]);
+            expect(naps.perDay[1].totalMinutes).to.equal(45);
+            expect(naps.perWeek).to.have.lengthOf(1);
+            expect(naps.perWeek[0].weekStart).to.equal('2023-11-27'); // Monday
+            expect(naps.perWeek[0].count).to.equal(1);
+            expect(naps.avgPerDay).to.be.closeTo(1 / 3, 0.01);
+            expect(naps.avgDuration).to.equal(45);
+        });
+    });
+
+    describe('Phase trajectory', () => {
+        // Sleep from 22:00 on Dec 1, 8h long, starting 30 minutes later each night
+        const buildDriftingSchedule = (days, shifts = {}) => {
+            const start = new Date(2023, 11, 1).getTime();
+            const nights = Array.from({ length: days }, (_, d) => {
+                const sleepStart = new Date(2023, 11, 1 + d, 22, 30 * d + (shifts[d] || 0)).getTime();
+                return [sleepStart, sleepStart + 8 * 60 * 60 * 1000];
+            });
+            const data = [];
+            for (let i = 0; i < (days + 1) * 96; i++) {
+                const timestamp = start + i * 15 * 60 * 1000;
+                const asleep = nights.some(([s, e]) => timestamp >= s && timestamp < e);
+                data.push({ timestamp, activityScore: asleep ? 0 : 80, epochDuration: 15 });
+            }
+            return data;
+        };
+
+        it('should fit the daily drift of onsets and offsets across midnight', () => {
+            const trajectory = AnalysisUtils.calculatePhaseTrajectory(buildDriftingSchedule(10));
+
+            expect(trajectory.onsets).to.have.lengthOf(10);
+            expect(trajectory.onsetDrift).to.be.closeTo(30, 1);
+            expect(trajectory.offsetDrift).to.be.closeTo(30, 1);
+            // Offsets keep climbing past midnight instead of wrapping to 0
+            const lastOffset = trajectory.offsets[trajectory.offsets.length - 1];
+            expect(lastOffset.hour).to.be.closeTo(26.5, 0.01);
+            expect(lastOffset.day).to.equal(9);
+        });
+
+        it('should not be pulled by a single late night', () => {
+            const trajectory = AnalysisUtils.calculatePhaseTrajectory(buildDriftingSchedule(10, { 5: 180 }));
+            expect(trajectory.onsetDrift).to.be.closeTo(30, 1);
+        });
+
+        it('should map the fitted line back to clock time', () => {
+            const trajectory = AnalysisUtils.calculatePhaseTrajectory(buildDriftingSchedule(10));
+            const predicted = new Date(AnalysisUtils.getTrajectoryTime(trajectory.referenceDate, trajectory.onsetFit, 3));
+            // Day index 3 is Dec 4, the third wake-up: 06:00 plus two nights of drift
+            expect(predicted.getDate()).to.equal(4);
+            expect(predicted.getHours() * 60 + predicted.getMinutes()).to.be.closeTo(7 * 60, 5);
+        });
+
+        it('should include the trajectory in the sleep analysis', () => {
+            const result = AnalysisUtils.detectSleepWakeCycles(buildSleepSchedule(5));
+            expect(result.phaseTrajectory.onsetDrift).to.be.closeTo(0, 0.1);
+        });
+    });
+
+    describe('Mid-sleep chronotype (MSFsc)', () => {
+        // Two weeks from Monday Dec 4, 2023: work nights 23:30-07:00, free nights 01:00-10:00
+        const buildCycles = () => Array.from({ length: 14 }, (_, i) => {
+            const date = new Date(2023, 11, 4 + i);
+            const free = date.getDay() === 0 || date.getDay() === 6;
+            const sleepStart = free ? new Date(2023, 11, 4 + i, 1).getTime() : new Date(2023, 11, 3 + i, 23, 30).getTime();
+            const sleepEnd = new Date(2023, 11, 4 + i, free ? 10 : 7).getTime();
+            return { date, sleepStart, sleepEnd, sleepDuration: (sleepEnd - sleepStart) / 60000 };
+        });
+
+        it('should correct free-day mid-sleep for work-day sleep debt', () => {
+            const result = AnalysisUtils.calculateMSFsc(buildCycles());
+
+            expect(result.msf).to.be.closeTo(5.5, 0.01);
+            expect(result.msw).to.be.closeTo(3.25, 0.01);
+            expect(result.freeNights).to.equal(4);
+            expect(result.workNights).to.equal(10);
+            expect(result.corrected).to.be.true;
+            // SDweek = (7.5h * 5 + 9h * 2) / 7; MSFsc = 5.5 - (9 - SDweek) / 2
+            expect(result.msfsc).to.be.closeTo(5.5 - (9 - 55.5 / 7) / 2, 0.01);
+            expect(result.type).to.equal('intermediate');
+        });
+
+        it('should use the configured free days', () => {
+            // With Monday and Tuesday as free days, the long weekend nights count as work nights
+            const result = AnalysisUtils.calculateMSFsc(buildCycles(), { workCalendar: { freeDays: [1, 2] } });
+            expect(result.msf).to.be.closeTo(3.25, 0.01);
+            expect(result.corrected).to.be.false;
+            expect(result.msfsc).to.equal(result.msf);
+        });
+
+        it('should need nights of both kinds', () => {
+            const workOnly = buildCycles().filter(c => c.date.getDay() !== 0 && c.date.getDay() !== 6);
+            expect(AnalysisUtils.calculateMSFsc(workOnly)).to.be.null;
+        });
+
+        it('should report MSFsc alongside the activity chronotype', () => {
+            const { circadian } = AnalysisUtils.detectSleepWakeCycles(buildSleepSchedule(14));
+            expect(circadian.chronotype.type).to.be.a('string');
+            expect(circadian.chronotype.msfsc.msfsc).to.be.closeTo(3.25, 0.1);
+        });
+    });
+
+    describe('Work calendar', () => {
+        it('should default to Saturday and Sunday as free days', () => {
+            expect(AnalysisUtils.isFreeDay(new Date(2023, 11, 9))).to.be.true; // Saturday
+            expect(AnalysisUtils.isFreeDay(new Date(2023, 11, 11))).to.be.false; // Monday
+        });
+
+        it('should apply date overrides over the weekly template', () => {
+            const settings = {
+                workCalendar: {
+                    freeDays: [0, 6],
+                    overrides: [
+                        { start: '2023-12-25', end: '2023-12-29', type: 'free', label: 'Vacation' },
+                        { start: '2023-12-30', type: 'work' },
+                        { start: '2023-12-27', type: 'work' }
+                    ]
+                }
+            };
+
+            expect(AnalysisUtils.isFreeDay(new Date(2023, 11, 26), settings)).to.be.true;
+            expect(AnalysisUtils.isFreeDay(new Date(2023, 11, 30), settings)).to.be.false; // Saturday shift
+            expect(AnalysisUtils.isFreeDay(new Date(2023, 11, 27), settings)).to.be.false; // Later override wins
+            expect(AnalysisUtils.isFreeDay(new Date(2024, 0, 2), settings)).to.be.false;
+        });
+
+        it('should split activity patterns by the calendar', () => {
+            const dailyData = [
+                { date: '2023-12-04', avgActivity: 80 }, // Monday
+                { date: '2023-12-05', avgActivity: 20 } // Tuesday
+            ];
+
+            expect(AnalysisUtils.identifyPatterns(dailyData)).to.be.empty;
+
+            const [pattern] = AnalysisUtils.identifyPatterns(dailyData, { workCalendar: { freeDays: [2] } });
+            expect(pattern.weekdayAvg).to.equal(80);
+            expect(pattern.weekendAvg).to.equal(20);
+        });
+
+        it('should measure social jetlag against the configured free days', () => {
+            // Two weeks from Monday Dec 4; on Tuesdays and Wednesdays sleep runs until 10:00
+            const start = new Date(2023, 11, 4).getTime();
+            const data = [];
+            for (let i = 0; i < 14 * 96; i++) {
+                const timestamp = start + i * 15 * 60 * 1000;
+                const date = new Date(timestamp);
+                const minuteOfDay = date.getHours() * 60 + date.getMinutes();
+                const lateDay = date.getDay() === 2 || date.getDay() === 3;
+                const asleep = minuteOfDay < (lateDay ? 10 : 7) * 60 || minuteOfDay >= 23.5 * 60;
+                data.push({ timestamp, activityScore: asleep ? 0 : 80, epochDuration: 15 });
+            }
+            const { cycles } = AnalysisUtils.detectSleepWakeCycles(data);
+
+            const jetlag = AnalysisUtils.calculateSocialJetlag(cycles, { workCalendar: { freeDays: [2, 3] } });
+            expect(jetlag.jetlagHours).to.be.closeTo(1.5, 0.1);
+            expect(AnalysisUtils.calculateSocialJetlag(cycles).jetlagHours).to.be.below(1);
+        });
+    });
+
+    describe('Sleep diary', () => {
+        it('should place the wake time on the wake date', () => {
+            expect(AnalysisUtils.getWakeDayTime('2023-12-05', '06:45')).to.equal(new Date(2023, 11, 5, 6, 45).getTime());
+            expect(AnalysisUtils.getWakeDayTime('2023-12-05', '13:00')).to.equal(new Date(2023, 11, 5, 13, 0).getTime());
+            expect(AnalysisUtils.getWakeDayTime('2023-12-05', '')).to.be.null;
+        });
+
+        it('should place lights off at its last occurrence before the wake time', () => {
+            // Day sleep: lights off and wake-up on the same date
+            const lateWake = AnalysisUtils.getWakeDayTime('2024-03-10', '13:00');
+            expect(AnalysisUtils.getClockTimeFrom(lateWake, '04:00', -1)).to.equal(new Date(2024, 2, 10, 4, 0).getTime());
+
+            // Night sleep: lights off the evening before
+            const wake = AnalysisUtils.getWakeDayTime('2024-03-10', '07:00');
+            const lightsOff = AnalysisUtils.getClockTimeFrom(wake, '23:15', -1);
+            expect(lightsOff).to.equal(new Date(2024, 2, 9, 23, 15).getTime());
+            expect(AnalysisUtils.getClockTimeFrom(lightsOff, '23:00', -1)).to.equal(new Date(2024, 2, 9, 23, 0).getTime());
+            expect(AnalysisUtils.getClockTimeFrom(wake, '07:20')).to.equal(new Date(2024, 2, 10, 7, 20).getTime());
+            expect(AnalysisUtils.getClockTimeFrom(wake, '', -1)).to.be.null;
+        });
+
+        it('should derive the sleep window from lights off, onset latency and wake time', () => {
+            const entry = {
+                date: '2023-12-05',
+                bedtime: new Date(2023, 11, 4, 22, 45).getTime(),
+                lightsOff: new Date(2023, 11, 4, 23, 0).getTime(),
+                sleepOnsetLatency: 20,
+                wakeTime: new Date(2023, 11, 5, 6, 50).getTime(),
+                outOfBed: new Date(2023, 11, 5, 7, 10).getTime(),
+                quality: 4
+            };
+
+            const window = AnalysisUtils.getDiarySleepWindow(entry);
+            expect(window.start).to.equal(new Date(2023, 11, 4, 23, 20).getTime());
+            expect(window.end).to.equal(entry.wakeTime);
+            expect(window.duration).to.equal(450);
+            expect(window.inBedStart).to.equal(entry.bedtime);
+            expect(window.inBedEnd).to.equal(entry.outOfBed);
+            expect(AnalysisUtils.getDiarySleepWindow({ ...entry, sleepOnsetLatency: 600 })).to.be.null;
+        });
+
+        it('should compare diary nights with detected sleep', () => {
+            const data = buildSleepSchedule(4);
+            const at = (day, hour, minute = 0) => new Date(2023, 11, day, hour, minute).getTime();
+            const entries = [
+                { date: '2023-12-02', lightsOff: at(1, 23), sleepOnsetLatency: 15, wakeTime: at(2, 7) },
+                { date: '2023-12-03', lightsOff: at(2, 23, 30), sleepOnsetLatency: 0, wakeTime: at(3, 6, 30) },
+                { date: '2023-12-20', lightsOff: at(19, 23), sleepOnsetLatency: 0, wakeTime: at(20, 7) } // No data
+            ];
+
+            const report = AnalysisUtils.compareDiaryWithDetected(entries, data);
+            expect(report.nights).to.have.lengthOf(2);
+            expect(report.matchedNights).to.equal(2);
+            expect(report.nights[0].onsetError).to.equal(15);
+            expect(report.nights[1].offsetError).to.equal(30);
+            expect(report.totalSleepTime.blandAltman.bias).to.equal(7.5);
+            expect(report.totalSleepTime.blandAltman.sd).to.equal(31.8);
+            expect(report.epochAgreement.epochs).to.equal(192);
+            expect(report.epochAgreement.sensitivity).to.equal(0.983);
+            expect(report.epochAgreement.specificity).to.equal(0.985);
+            expect(AnalysisUtils.compareDiaryWithDetected([], data)).to.be.null;
+        });
+
+        it('should calibrate detection parameters to the diary', () => {
+            // Every night has a 30-minute awakening at 03:00 that the diary does not report
+            const data = buildSleepSchedule(6).map(e => {
+                const date = new Date(e.timestamp);
+                return date.getHours() === 3 && date.getMinutes() < 30 ? { ...e, activityScore: 80 } : e;
+            });
+            const entries = [2, 3, 4, 5].map(day => ({
+                date: TimeUtils.formatDateKey(new Date(2023, 11, day)),
+                lightsOff: new Date(2023, 11, day - 1, 23, 30).getTime(),
+                sleepOnsetLatency: 0,
+                wakeTime: new Date(2023, 11, day, 7).getTime()
+            }));
+
+            const calibration = AnalysisUtils.calibrateSleepDetection(entries, data, { sleepScoringThreshold: 15 });
+            expect(calibration.improved).to.be.true;
+            expect(calibration.nights).to.equal(4);
+            expect(calibration.parameters.maxSleepInterruption).to.be.at.least(30);
+            expect(calibration.score).to.be.above(calibration.baselineScore);
+            expect(AnalysisUtils.calibrateSleepDetection(entries.slice(0, 2), data)).to.be.null;
+        });
+    });
+
+    describe('Cosinor', () => {
+        // Sinusoid evaluated at each epoch's midpoint, peaking at `acrophase` hours on day one
+        const buildSinusoid = (periodHours, days, acrophase, epochMinutes = 15) => {
+            const start = new Date(2023, 11, 1).getTime();
+            const data = [];
+            for (let i = 0; i < (days * 24 * 60) / epochMinutes; i++) {
+                const hours = ((i + 0.5) * epochMinutes) / 60;
+                data.push({
+                    timestamp: start + i * epochMinutes * 60 * 1000,
+                    activityScore: 50 + 30 * Math.cos((2 * Math.PI * (hours - acrophase)) / periodHours),
+                    epochDuration: epochMinutes
+                });
+            }
+            return data;
+        };
+
+        it('should recover MESOR, amplitude and acrophase of a sinusoid', () => {
+            const fit = AnalysisUtils.fitCosinor(buildSinusoid(24, 7, 15));
+            expect(fit.mesor).to.be.closeTo(50, 0.1);
+            expect(fit.amplitude).to.be.closeTo(30, 0.5);
+            expect(fit.acrophase).to.be.closeTo(15, 0.1);
+            expect(fit.rSquared).to.be.above(0.99);
+            expect(fit.significant).to.be.true;
+            const [low, high] = fit.components[0].confidenceIntervals.acrophase;
+            expect(low).to.be.at.most(15);
+            expect(high).to.be.at.least(15);
+        });
+
+        it('should fit multiple harmonics', () => {
+            const fit = AnalysisUtils.fitCosinor(buildRhythm(24, 7), { periods: [24, 12, 8] });
+            expect(fit.components).to.have.length(3);
+            expect(fit.rSquared).to.be.above(AnalysisUtils.fitCosinor(buildRhythm(24, 7)).rSquared);
+        });
+
+        it('should track acrophase drift over rolling windows', () => {
+            const rolling = AnalysisUtils.calculateRollingCosinor(buildSinusoid(24.5, 21, 12));
+            expect(rolling.windows.length).to.be.above(10);
+            // A 24.5h rhythm peaks 30 minutes later each day
+            expect(rolling.acrophaseDrift).to.be.closeTo(30, 2);
+        });
+
+        it('should use the acrophase as the chronotype phase marker', () => {
+            const data = buildSinusoid(24, 7, 20);
+            const circadian = AnalysisUtils.analyzeCircadianRhythms(data);
+            expect(circadian.chronotype.phaseMarker).to.equal('acrophase');
+            expect(circadian.chronotype.type).to.equal('evening');
+        });
+    });
+});
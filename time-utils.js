@@ -0,0 +1,291 @@
+/**
+ * Time Utilities
+ * Local-time day bucketing and epoch resampling shared by analysis, charts, storage and export
+ */
+
+const TimeUtils = {
+    /**
+     * Get the start of the day bucket containing a timestamp
+     * A day runs from dayStartHour (local time) to dayStartHour on the next calendar date,
+     * so with dayStartHour 6 an epoch at 02:00 belongs to the previous day
+     * @param {number|Date} timestamp - Time in milliseconds or a Date
+     * @param {number} dayStartHour - Local hour at which a day starts (0-23)
+     * @returns {Date} Local start of the day bucket
+     */
+    getDayStart(timestamp, dayStartHour = 0) {
+        const time = new Date(timestamp);
+        const start = new Date(time);
+        start.setHours(dayStartHour, 0, 0, 0);
+
+        if (start > time) {
+            start.setDate(start.getDate() - 1);
+            start.setHours(dayStartHour, 0, 0, 0); // Re-apply in case a DST change moved it
+        }
+
+        return start;
+    },
+
+    /**
+     * Get the key of the day bucket containing a timestamp
+     * @param {number|Date} timestamp - Time in milliseconds or a Date
+     * @param {number} dayStartHour - Local hour at which a day starts (0-23)
+     * @returns {string} Local date key (YYYY-MM-DD) of the day the bucket starts on
+     */
+    getDayKey(timestamp, dayStartHour = 0) {
+        return this.formatDateKey(this.getDayStart(timestamp, dayStartHour));
+    },
+
+    /**
+     * Format a local date key (YYYY-MM-DD)
+     * Unlike toISOString(), this never shifts the date into UTC
+     * @param {Date} date - Date to format
+     * @returns {string} Date key
+     */
+    formatDateKey(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    },
+
+    /**
+     * Parse a local date key back into a Date at local midnight
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {Date} Local midnight of that date
+     */
+    parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
+    /**
+     * Add calendar days in local time (DST-safe, unlike adding 24h of milliseconds)
+     * @param {Date} date - Start date
+     * @param {number} days - Number of days to add (may be negative)
+     * @returns {Date} New date
+     */
+    addDays(date, days) {
+        const result = new Date(date);
+        const hours = result.getHours();
+        result.setDate(result.getDate() + days);
+        result.setHours(hours, result.getMinutes(), result.getSeconds(), result.getMilliseconds());
+        return result;
+    },
+
+    /**
+     * Get the key of the week containing a timestamp
+     * Weeks start on Monday, at the day boundary
+     * @param {number|Date} timestamp - Time in milliseconds or a Date
+     * @param {number} dayStartHour - Local hour at which a day starts (0-23)
+     * @returns {string} Date key (YYYY-MM-DD) of the Monday starting the week
+     */
+    getWeekKey(timestamp, dayStartHour = 0) {
+        const dayStart = this.getDayStart(timestamp, dayStartHour);
+        return this.formatDateKey(this.addDays(dayStart, -((dayStart.getDay() + 6) % 7)));
+    },
+
+    /**
+     * Get the current time zone and its UTC offset at a given instant
+     * @param {number} timestamp - Time in milliseconds
+     * @returns {Object} { utcOffset (minutes east of UTC), timeZone (IANA name or null) }
+     */
+    getZoneInfo(timestamp = Date.now()) {
+        let timeZone = null;
+        try {
+            timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+        } catch (error) {
+            console.error('Error resolving time zone:', error);
+        }
+
+        return {
+            utcOffset: -new Date(timestamp).getTimezoneOffset(),
+            timeZone
+        };
+    },
+
+    /**
+     * Check whether two zone records differ (travel or a DST switch)
+     * @param {Object} a - { utcOffset, timeZone }
+     * @param {Object} b - { utcOffset, timeZone }
+     * @returns {boolean} True if the offset or zone name changed
+     */
+    isZoneChange(a, b) {
+        if (!a || !b || a.utcOffset === undefined || b.utcOffset === undefined) return false;
+        return a.utcOffset !== b.utcOffset || (!!a.timeZone && !!b.timeZone && a.timeZone !== b.timeZone);
+    },
+
+    /**
+     * Shift epochs so that local-time rendering shows the wall clock at recording
+     * Epochs recorded without a UTC offset are left unchanged
+     * @param {Array} activityData - Array of epoch objects
+     * @returns {Array} Epochs with display timestamps
+     */
+    toRecordedLocalTime(activityData) {
+        return activityData.map(epoch => {
+            if (epoch.utcOffset === undefined || epoch.utcOffset === null) return epoch;
+
+            const currentOffset = -new Date(epoch.timestamp).getTimezoneOffset();
+            const shiftMs = (epoch.utcOffset - currentOffset) * 60 * 1000;
+            return shiftMs === 0 ? epoch : { ...epoch, timestamp: epoch.timestamp + shiftMs };
+        });
+    },
+
+    /**
+     * Build a function that shifts any instant to the wall clock of the zone it was recorded in
+     * Diary times and annotations carry no zone of their own, so they take the zone of the
+     * last epoch recorded at or before them (the first epoch for earlier times)
+     * @param {Array} activityData - Array of epoch objects with real timestamps
+     * @returns {Function} timestamp => display timestamp; non-numeric values are passed through
+     */
+    getRecordedTimeShift(activityData) {
+        const zoned = (activityData || [])
+            .filter(epoch => epoch.utcOffset !== undefined && epoch.utcOffset !== null)
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        return timestamp => {
+            if (!Number.isFinite(timestamp) || zoned.length === 0) return timestamp;
+
+            // Last zoned epoch starting at or before the timestamp
+            let low = 0;
+            let high = zoned.length - 1;
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (zoned[mid].timestamp <= timestamp) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+
+            const currentOffset = -new Date(timestamp).getTimezoneOffset();
+            return timestamp + (zoned[low].utcOffset - currentOffset) * 60 * 1000;
+        };
+    },
+
+    /**
+     * Find points where consecutive epochs were recorded in different zones
+     * @param {Array} activityData - Array of epoch objects
+     * @returns {Array} Changes { timestamp, from, to }
+     */
+    findZoneChanges(activityData) {
+        const changes = [];
+        let previous = null;
+
+        [...activityData]
+            .filter(epoch => epoch.utcOffset !== undefined && epoch.utcOffset !== null)
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .forEach(epoch => {
+                if (previous && this.isZoneChange(previous, epoch)) {
+                    changes.push({
+                        timestamp: epoch.timestamp,
+                        from: { utcOffset: previous.utcOffset, timeZone: previous.timeZone || null },
+                        to: { utcOffset: epoch.utcOffset, timeZone: epoch.timeZone || null }
+                    });
+                }
+                previous = epoch;
+            });
+
+        return changes;
+    },
+
+    /**
+     * Format a UTC offset in minutes as e.g. "UTC+05:30"
+     * @param {number} utcOffset - Minutes east of UTC
+     * @returns {string} Formatted offset
+     */
+    formatUtcOffset(utcOffset) {
+        const sign = utcOffset < 0 ? '-' : '+';
+        const absolute = Math.abs(utcOffset);
+        return `UTC${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+    },
+
+    /**
+     * Convert epochs to another epoch duration
+     * New epochs are aligned to multiples of the target length. Scores are shares of time,
+     * so coarsening takes the mean weighted by how much of each new epoch an old one covers,
+     * and refining gives every piece of a split epoch the score of the whole.
+     * Active, idle, locked and focused seconds are amounts of time, so they are split in proportion and summed.
+     * Gap epochs are kept as they are, and sleep/wake labels are dropped for the next analysis to redo
+     * @param {Array} epochs - Stored epochs, in any order
+     * @param {number} targetDuration - New epoch length in minutes
+     * @param {number} fallbackDuration - Length (minutes) of epochs saved without an epochDuration
+     * @returns {Array} Resampled epochs sorted by timestamp
+     */
+    resampleEpochs(epochs, targetDuration, fallbackDuration = 15) {
+        const targetMs = targetDuration * 60 * 1000;
+        if (!(targetMs > 0)) return [];
+
+        const bins = new Map();
+        const gaps = [];
+
+        for (const epoch of epochs || []) {
+            if (!epoch || !Number.isFinite(epoch.timestamp)) continue;
+            if (epoch.isGap || epoch.activityScore < 0) {
+                gaps.push(epoch);
+                continue;
+            }
+
+            const end = epoch.timestamp + (epoch.epochDuration || fallbackDuration) * 60 * 1000;
+            let cursor = epoch.timestamp;
+            while (cursor < end) {
+                const binStart = Math.floor(cursor / targetMs) * targetMs;
+                const sliceEnd = Math.min(end, binStart + targetMs);
+                const weight = sliceEnd - cursor;
+
+                if (!bins.has(binStart)) {
+                    bins.set(binStart, {
+                        utcOffset: epoch.utcOffset,
+                        timeZone: epoch.timeZone,
+                        sums: {},
+                        weights: {},
+                        seconds: {}
+                    });
+                }
+
+                const bin = bins.get(binStart);
+                for (const field of ['activityScore', 'trackerScore', 'historyScore']) {
+                    if (!Number.isFinite(epoch[field])) continue;
+                    bin.sums[field] = (bin.sums[field] || 0) + epoch[field] * weight;
+                    bin.weights[field] = (bin.weights[field] || 0) + weight;
+                }
+                for (const field of ['activeSeconds', 'idleSeconds', 'lockedSeconds', 'focusedSeconds', 'focusedActiveSeconds', 'focusedIdleSeconds']) {
+                    if (!Number.isFinite(epoch[field])) continue;
+                    bin.seconds[field] = (bin.seconds[field] || 0) + epoch[field] * (weight / (end - epoch.timestamp));
+                }
+
+                cursor = sliceEnd;
+            }
+        }
+
+        const resampled = [];
+        for (const [timestamp, bin] of bins) {
+            const epoch = { timestamp, epochDuration: targetDuration };
+            for (const field of Object.keys(bin.sums)) {
+                epoch[field] = Math.round(bin.sums[field] / bin.weights[field]);
+            }
+            for (const field of Object.keys(bin.seconds)) {
+                epoch[field] = Math.round(bin.seconds[field]);
+            }
+            if (bin.utcOffset !== undefined) epoch.utcOffset = bin.utcOffset;
+            if (bin.timeZone !== undefined) epoch.timeZone = bin.timeZone;
+            resampled.push(epoch);
+        }
+
+        for (const gap of gaps) {
+            // Epochs are keyed by timestamp, so a gap cannot share a start with a scored epoch
+            if (!bins.has(gap.timestamp)) {
+                resampled.push(gap);
+            }
+        }
+
+        return resampled.sort((a, b) => a.timestamp - b.timestamp);
+    }
+};
+
+// Make available globally
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimeUtils;
+} else if (typeof window !== 'undefined') {
+    // For browser environments
+    window.TimeUtils = TimeUtils;
+}